@@ -0,0 +1,361 @@
+// Results math shared by the web page, the command line and the tests:
+// summaries of runs, outcome buckets, drill-downs and annualized returns.
+import { simulateRun } from "./main.js";
+import {
+    sketchPoints,
+    sketchQuantile,
+    sketchQuantilePoint,
+    DRAWDOWN_BUCKETS,
+    drawdownBucketIndex,
+    monthlyBalancePercentiles,
+    aggregateMonthlyPercentiles,
+    balanceFromTrading
+} from "./statistics.js";
+
+// Percentiles whose runs the summary lists besides the median.
+export const REPRESENTATIVE_PERCENTILES = [5, 25, 75, 95];
+
+/**
+ * Number of runs a balance point stands for: one run, or `count` runs in
+ * streaming mode.
+ */
+export const runWeight = (run) => run.count ?? 1;
+
+/**
+ * Annualized return of a final balance, as a fraction (0.12 for 12% a year).
+ * A balance at or below zero has lost everything, which is -100%.
+ */
+export function annualizedReturn(finalBalance, startingBalance, months) {
+    if (startingBalance <= 0 || months <= 0) {
+        return 0;
+    }
+    const growth = finalBalance / startingBalance;
+    return growth <= 0 ? -1 : Math.pow(growth, 12 / months) - 1;
+}
+
+/**
+ * Lowest and highest annualized return among runs (or balance points), as
+ * fractions: { min, max }.
+ */
+export function annualizedReturnRange(runs, params) {
+    const returns = runs.map((run) =>
+        annualizedReturn(run.finalBalance, params.startingBalance, params.simulationTimeline)
+    );
+    // reduce rather than Math.min(...) so huge buckets cannot overflow the stack
+    return {
+        min: returns.reduce((a, b) => Math.min(a, b)),
+        max: returns.reduce((a, b) => Math.max(a, b))
+    };
+}
+
+/**
+ * Splits weighted { value, count } points, sorted by value, into equal-width
+ * buckets and returns the non-empty ones as { min, max, count }.
+ */
+export function bucketWeightedValues(points, bucketCount) {
+    const min = points[0].value;
+    const max = points[points.length - 1].value;
+    const width = (max - min) / bucketCount;
+    if (width === 0) {
+        const count = points.reduce((sum, point) => sum + point.count, 0);
+        return [{ min, max, count }];
+    }
+
+    const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+        min: min + i * width,
+        max: min + (i + 1) * width,
+        count: 0
+    }));
+    for (const point of points) {
+        const index = Math.min(bucketCount - 1, Math.floor((point.value - min) / width));
+        buckets[index].count += point.count;
+    }
+    return buckets.filter((bucket) => bucket.count > 0);
+}
+
+function summarizeRunDrawdowns(simulationResults) {
+    const sortedValues = (values) => values.sort((a, b) => a - b);
+    const valueAt = (values) => (q) => values[Math.min(values.length - 1, Math.floor(values.length * q))];
+    const maxDrawdowns = sortedValues(simulationResults.map((run) => run.maxDrawdown));
+    const longestDrawdowns = sortedValues(simulationResults.map((run) => run.longestDrawdownMonths));
+    const recoveryMonths = sortedValues(
+        simulationResults.filter((run) => run.recoveryMonths !== null).map((run) => run.recoveryMonths)
+    );
+    const drawdownBuckets = new Array(DRAWDOWN_BUCKETS).fill(0);
+    for (const run of simulationResults) {
+        drawdownBuckets[drawdownBucketIndex(run.maxDrawdown)]++;
+    }
+    return {
+        maxDrawdownAt: valueAt(maxDrawdowns),
+        longestDrawdownAt: valueAt(longestDrawdowns),
+        recoveryMonthsAt: valueAt(recoveryMonths),
+        drawdownRuns: maxDrawdowns.filter((drawdown) => drawdown > 0).length,
+        recovered: recoveryMonths.length,
+        drawdownBuckets
+    };
+}
+
+/**
+ * Summarizes every run of runMonteCarlo for the results page. Sorts the runs
+ * by final balance in place.
+ *
+ * Returns run counts (survivingCount, totalRuinCount, profitableCount,
+ * losingCount), averages, the representative runs (worst, best, median,
+ * closest to the average and REPRESENTATIVE_PERCENTILES), balanceAtQuantile(q),
+ * the balance points for histograms, withdrawal and drawdown distributions,
+ * regime totals and the monthly balance percentiles for the fan chart.
+ * Throws an Error when there are no runs.
+ */
+export function summarizeRuns(simulationResults, params) {
+    if (simulationResults.length === 0) {
+        throw new Error("There are no runs to summarize.");
+    }
+    simulationResults.sort((a, b) => a.finalBalance - b.finalBalance);
+    const totalRuns = simulationResults.length;
+    const totalAverageBalance = simulationResults.reduce((sum, run) => sum + run.finalBalance, 0) / totalRuns;
+    const averageFeesPaid = simulationResults.reduce((sum, run) => sum + run.totalFees, 0) / totalRuns;
+    const averageTaxesPaid = simulationResults.reduce((sum, run) => sum + run.totalTaxes, 0) / totalRuns;
+    const withdrawnValues = simulationResults.map((run) => run.totalWithdrawn).sort((a, b) => a - b);
+    const regimeTotals = {};
+    for (const run of simulationResults) {
+        for (const [name, months] of Object.entries(run.regimeMonths || {})) {
+            regimeTotals[name] = (regimeTotals[name] || 0) + months;
+        }
+    }
+    return {
+        totalRuns,
+        totalAverageBalance,
+        averageFeesPaid,
+        averageTaxesPaid,
+        worstCaseOfAll: simulationResults[0],
+        bestCaseOfAll: simulationResults[totalRuns - 1],
+        medianOfAll: simulationResults[Math.floor(totalRuns / 2)],
+        averageScenarioOfAll: simulationResults.reduce((prev, curr) =>
+            Math.abs(curr.finalBalance - totalAverageBalance) < Math.abs(prev.finalBalance - totalAverageBalance)
+                ? curr
+                : prev
+        ),
+        percentileScenarios: REPRESENTATIVE_PERCENTILES.map((percentile) => ({
+            percentile,
+            run: simulationResults[Math.floor((totalRuns * percentile) / 100)]
+        })),
+        survivingCount: simulationResults.filter((run) => run.survived).length,
+        totalRuinCount: simulationResults.filter((run) => run.ruined).length,
+        profitableCount: simulationResults.filter(
+            (run) => !run.ruined && balanceFromTrading(run) > params.startingBalance
+        ).length,
+        losingCount: simulationResults.filter(
+            (run) => !run.ruined && balanceFromTrading(run) < params.startingBalance
+        ).length,
+        balanceAtQuantile: (q) => simulationResults[Math.min(totalRuns - 1, Math.floor(totalRuns * q))].finalBalance,
+        balancePoints: simulationResults,
+        regimeTotals,
+        withdrawals: {
+            average: withdrawnValues.reduce((sum, value) => sum + value, 0) / totalRuns,
+            at: (q) => withdrawnValues[Math.min(totalRuns - 1, Math.floor(totalRuns * q))],
+            points: withdrawnValues.map((value) => ({ value, count: 1 }))
+        },
+        drawdowns: summarizeRunDrawdowns(simulationResults),
+        monthlyPercentiles: monthlyBalancePercentiles(
+            simulationResults,
+            params.startingBalance,
+            params.simulationTimeline
+        )
+    };
+}
+
+/**
+ * Same summary as summarizeRuns, read from the aggregate of
+ * runMonteCarloAggregate. Quantiles come from its sketches, and the
+ * representative runs are replayed from the seeds it kept.
+ */
+export function summarizeAggregate(aggregate, params) {
+    const sketch = aggregate.finalBalances;
+    const totalAverageBalance = aggregate.finalBalanceSum / aggregate.runs;
+    const balancePoints = sketchPoints(sketch).map((point) => ({
+        finalBalance: point.value,
+        count: point.count,
+        seed: point.exemplar
+    }));
+    const averagePoint = balancePoints.reduce((prev, curr) =>
+        Math.abs(curr.finalBalance - totalAverageBalance) < Math.abs(prev.finalBalance - totalAverageBalance)
+            ? curr
+            : prev
+    );
+    // Only seeds were kept, so representative runs are replayed on demand.
+    const replay = (seed) => simulateRun(params, seed);
+
+    return {
+        totalRuns: aggregate.runs,
+        totalAverageBalance,
+        averageFeesPaid: aggregate.totalFeesSum / aggregate.runs,
+        averageTaxesPaid: aggregate.totalTaxesSum / aggregate.runs,
+        worstCaseOfAll: replay(aggregate.worst.seed),
+        bestCaseOfAll: replay(aggregate.best.seed),
+        medianOfAll: replay(sketchQuantilePoint(sketch, 0.5).exemplar),
+        averageScenarioOfAll: replay(averagePoint.seed),
+        percentileScenarios: REPRESENTATIVE_PERCENTILES.map((percentile) => ({
+            percentile,
+            run: replay(sketchQuantilePoint(sketch, percentile / 100).exemplar)
+        })),
+        survivingCount: aggregate.survived,
+        totalRuinCount: aggregate.ruined,
+        profitableCount: aggregate.profitable,
+        losingCount: aggregate.losing,
+        balanceAtQuantile: (q) => sketchQuantile(sketch, q),
+        balancePoints,
+        regimeTotals: aggregate.regimeMonths,
+        withdrawals: {
+            average: aggregate.totalWithdrawnSum / aggregate.runs,
+            at: (q) => sketchQuantile(aggregate.totalWithdrawn, q),
+            points: sketchPoints(aggregate.totalWithdrawn)
+        },
+        drawdowns: {
+            maxDrawdownAt: (q) => sketchQuantile(aggregate.maxDrawdowns, q),
+            longestDrawdownAt: (q) => sketchQuantile(aggregate.longestDrawdowns, q),
+            recoveryMonthsAt: (q) => sketchQuantile(aggregate.recoveryMonths, q),
+            drawdownRuns: aggregate.drawdownRuns,
+            recovered: aggregate.recovered,
+            drawdownBuckets: aggregate.drawdownBuckets
+        },
+        monthlyPercentiles: aggregateMonthlyPercentiles(aggregate)
+    };
+}
+
+/**
+ * Summarizes what runMonteCarlo (or runMonteCarloAggregate in streaming
+ * mode) returned for params.
+ */
+export function summarizeResults(results, params) {
+    return params.statisticsMode === "streaming"
+        ? summarizeAggregate(results, params)
+        : summarizeRuns(results, params);
+}
+
+/**
+ * The adaptive histogram of final balances: nine equal buckets from the worst
+ * balance up to the 98th percentile, then one outlier bucket for the top 2% so
+ * a few huge runs cannot squash the rest into one bar.
+ *
+ * Returns [{ min, max, count, runs, percentage, roi, isOutlierBucket }], with
+ * percentage out of 100 and roi the annualized return range of the bucket
+ * ({ min, max } fractions, only on non-empty buckets). An empty outlier
+ * bucket is left out, and there are no buckets for 10 runs or fewer or when
+ * every core balance is the same.
+ */
+export function outcomeBuckets(summary, params) {
+    const { totalRuns, balanceAtQuantile, worstCaseOfAll, bestCaseOfAll, balancePoints } = summary;
+    const buckets = [];
+    if (totalRuns <= 10) {
+        return buckets;
+    }
+    const cutoffPercentile = 0.98;
+    const numCoreBuckets = 9;
+    const maxBalanceForBuckets = balanceAtQuantile(cutoffPercentile);
+    const minBalance = worstCaseOfAll.finalBalance;
+    const coreRange = maxBalanceForBuckets - minBalance;
+    if (coreRange <= 0) {
+        return buckets;
+    }
+
+    for (let i = 0; i < numCoreBuckets; i++) {
+        const bucketMin = minBalance + i * (coreRange / numCoreBuckets);
+        buckets.push({ min: bucketMin, max: bucketMin + coreRange / numCoreBuckets, count: 0, runs: [] });
+    }
+    const outlierBucket = {
+        min: maxBalanceForBuckets,
+        max: bestCaseOfAll.finalBalance,
+        count: 0,
+        runs: [],
+        isOutlierBucket: true
+    };
+
+    for (const run of balancePoints) {
+        if (run.finalBalance < maxBalanceForBuckets) {
+            const bucketIndex = Math.min(
+                numCoreBuckets - 1,
+                Math.floor((run.finalBalance - minBalance) / (coreRange / numCoreBuckets))
+            );
+            if (buckets[bucketIndex]) {
+                buckets[bucketIndex].runs.push(run);
+                buckets[bucketIndex].count += runWeight(run);
+            }
+        } else {
+            outlierBucket.runs.push(run);
+            outlierBucket.count += runWeight(run);
+        }
+    }
+    if (outlierBucket.count > 0) {
+        buckets.push(outlierBucket);
+    }
+
+    for (const bucket of buckets) {
+        bucket.percentage = (bucket.count / totalRuns) * 100;
+        if (bucket.count > 0) {
+            bucket.roi = annualizedReturnRange(bucket.runs, params);
+        }
+    }
+    return buckets;
+}
+
+/**
+ * Splits the runs (or balance points) of one bucket, sorted by final balance,
+ * into bucketCount equal-width sub-buckets for drilling down.
+ *
+ * Returns { min, max, totalRuns, buckets } where buckets are
+ * [{ min, max, count, runs, percentage, roi }] like outcomeBuckets', with
+ * percentage out of the bucket's runs. Buckets is empty when the runs cannot
+ * be split: a single point, or every run with the same final balance.
+ */
+export function drillDownBuckets(runs, params, bucketCount = 10) {
+    const min = runs[0].finalBalance;
+    const max = runs[runs.length - 1].finalBalance;
+    const range = max - min;
+    const totalRuns = runs.reduce((sum, run) => sum + runWeight(run), 0);
+    const buckets = [];
+    if (range <= 0 || runs.length < 2) {
+        return { min, max, totalRuns, buckets };
+    }
+
+    const bucketSize = range / bucketCount;
+    for (let i = 0; i < bucketCount; i++) {
+        buckets.push({ min: min + i * bucketSize, max: min + (i + 1) * bucketSize, count: 0, runs: [] });
+    }
+    for (const run of runs) {
+        const bucket = buckets[Math.min(bucketCount - 1, Math.floor((run.finalBalance - min) / bucketSize))];
+        bucket.count += runWeight(run);
+        bucket.runs.push(run);
+    }
+    for (const bucket of buckets) {
+        bucket.percentage = (bucket.count / totalRuns) * 100;
+        if (bucket.count > 0) {
+            bucket.roi = annualizedReturnRange(bucket.runs, params);
+        }
+    }
+    return { min, max, totalRuns, buckets };
+}
+
+const percentOfRuns = (count) => (summary) => count(summary) / summary.totalRuns;
+
+/**
+ * The headline statistics of a summary, as listed by the scenario comparison,
+ * the exports and the command line. `value` reads the statistic from a
+ * summary; `format` says whether it is a fraction ("percent") or dollars
+ * ("currency") and `better` which way is an improvement.
+ */
+export const SUMMARY_STATISTICS = [
+    { label: "Survival Rate", better: "higher", format: "percent", value: percentOfRuns((s) => s.survivingCount) },
+    { label: "Profitable", better: "higher", format: "percent", value: percentOfRuns((s) => s.profitableCount) },
+    { label: "Losing (Not Ruined)", better: "lower", format: "percent", value: percentOfRuns((s) => s.losingCount) },
+    { label: "Ruined", better: "lower", format: "percent", value: percentOfRuns((s) => s.totalRuinCount) },
+    { label: "Average Final Balance", better: "higher", format: "currency", value: (s) => s.totalAverageBalance },
+    ...[5, 25, 50, 75, 95].map((percentile) => ({
+        label: percentile === 50 ? "Median Final Balance" : `${percentile}th Percentile Final Balance`,
+        better: "higher",
+        format: "currency",
+        value: (s) => s.balanceAtQuantile(percentile / 100)
+    })),
+    { label: "Median Max Drawdown", better: "lower", format: "percent", value: (s) => s.drawdowns.maxDrawdownAt(0.5) },
+    { label: "Average Fees Paid", better: "lower", format: "currency", value: (s) => s.averageFeesPaid },
+    { label: "Average Withdrawn", better: "higher", format: "currency", value: (s) => s.withdrawals.average }
+];
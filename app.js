@@ -1,20 +1,130 @@
 // 1. Import the main simulation function from your logic file.
-import { runMonteCarlo } from "./main.js";
+import { generateSeed, measureDrawdowns } from "./main.js";
+import { runMonteCarloInWorkers } from "./workerPool.js";
+import {
+  DEFAULT_TRANSITIONS,
+  createDefaultRegimes,
+  validateRegimeModel,
+  countRegimeMonths,
+} from "./regimes.js";
+import { parseTradeLog, summarizeTradeLog } from "./tradeLog.js";
+import {
+  DRAWDOWN_BUCKETS,
+  FAN_PERCENTILES,
+  balanceAtMonth,
+} from "./statistics.js";
+import { validateFeeModel, describeFeeModel } from "./fees.js";
+import { buildTradingMonths, parseDateList } from "./calendar.js";
+import { parseOneOffCashFlows } from "./cashFlows.js";
+import {
+  presetOutcomeTable,
+  parseOutcomeTable,
+  validateOutcomeModel,
+  outcomeModelOutcomes,
+  summarizeOutcomeModel,
+} from "./outcomes.js";
+import {
+  describeSizing,
+  optimalFraction,
+  tradeOutcomes,
+} from "./sizing.js";
+import {
+  SOLVER_PARAMETERS,
+  SOLVER_METRICS,
+  validateGoal,
+  solveForParameter,
+} from "./solver.js";
+import {
+  SWEEP_PARAMETERS,
+  sweepValues,
+  validateSweep,
+  runSweep,
+} from "./sweep.js";
+import { overlaidHistogramSvg, fanChartSvg, barChartSvg } from "./charts.js";
+import {
+  runWeight,
+  bucketWeightedValues,
+  summarizeResults,
+  outcomeBuckets,
+  drillDownBuckets,
+  SUMMARY_STATISTICS,
+} from "./analytics.js";
+import {
+  toCsv,
+  toJson,
+  summaryRecords,
+  outcomeBucketRecords,
+  monthlyBreakdownRecords,
+  finalBalanceRecords,
+  htmlReport,
+} from "./export.js";
+import {
+  encodeFormState,
+  decodeFormState,
+  createPresetStore,
+} from "./presets.js";
+import { validateFormValues } from "./validation.js";
 
 // --- Global DOM Elements & Helpers ---
 const outputDiv = document.getElementById("simulator-embed");
 const simulationButton = document.getElementById("run-simulation");
+const cancelButton = document.getElementById("cancel-simulation");
+const solveButton = document.getElementById("solve-goal");
+const sweepButton = document.getElementById("run-sweep");
+const compareButton = document.getElementById("compare-scenarios");
+const skipButton = document.getElementById("skip-printout");
+const renderSpeedSelect = document.getElementById("render-speed");
+// Only one simulation, solve, sweep or comparison runs at a time.
+const setActionsDisabled = (disabled) => {
+  [simulationButton, solveButton, sweepButton, compareButton].forEach(
+    (button) => {
+      button.disabled = disabled;
+    }
+  );
+};
 const inputsToFormat = document.querySelectorAll(
-  "#account-balance-visible, #win-rate-visible, #risk-to-reward-visible, #estimated-fee-percent-visible, #account-balance-risked-percent-visible, #total-monthly-expenses-visible, #expenses-begin-month-visible, #timeline-visible, #simulation-runs-visible"
+  "#account-balance-visible, #win-rate-visible, #risk-to-reward-visible, #estimated-fee-percent-visible, #account-balance-risked-percent-visible, #total-monthly-expenses-visible, #expenses-begin-month-visible, #timeline-visible, #simulation-runs-visible, #peak-win-rate-visible, #low-win-rate-visible, #ruin-balance-visible, #ruin-drawdown-visible, #monthly-loss-limit-visible, #fixed-risk-visible, #min-risk-visible, #max-risk-visible, #kelly-multiplier-visible, #commission-per-trade-visible, #cost-per-unit-visible, #risk-per-unit-visible, #tick-value-visible, #spread-per-unit-visible, #monthly-deposit-visible, #expense-inflation-visible, #expenses-end-month-visible, #withdrawal-percent-visible, #salary-visible, #salary-minimum-balance-visible, #tax-rate-visible"
 );
 
 // --- A global variable to direct console output ---
 let activeView;
 let isSummaryPrinting = false;
+let importedTradeLog = null;
 
 // --- DELAY HELPER ---
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 
+// --- RENDER SPEED & SKIPPING ---
+// How much of each pause between printed lines to wait.
+const RENDER_SPEEDS = { typewriter: 1, fast: 0.2, instant: 0 };
+let printoutsInProgress = 0;
+let isPrintoutSkipped = false;
+
+// Pauses between result lines at the chosen speed; instant rendering and a
+// skipped printout do not wait at all.
+const printDelay = (ms) => {
+  const scale = isPrintoutSkipped
+    ? 0
+    : RENDER_SPEEDS[renderSpeedSelect.value] ?? 1;
+  return scale > 0 ? delay(ms * scale) : Promise.resolve();
+};
+
+// Skip stays available until every printout started has finished.
+const startPrintout = () => {
+  printoutsInProgress++;
+  skipButton.disabled = false;
+};
+const finishPrintout = () => {
+  printoutsInProgress--;
+  if (printoutsInProgress === 0) {
+    isPrintoutSkipped = false;
+    skipButton.disabled = true;
+  }
+};
+const skipPrintout = () => {
+  if (printoutsInProgress > 0) isPrintoutSkipped = true;
+};
+
 // --- FORMATTING HELPERS ---
 const formatConsoleCurrency = (number) => {
   return number.toLocaleString("en-US", {
@@ -58,18 +168,21 @@ function unformatForEditing(event) {
 // --- Console Output Override ---
 const originalConsoleLog = console.log;
 console.log = function (message, onClickCallback) {
-  originalConsoleLog(message);
+  const isNode = message instanceof Node;
+  originalConsoleLog(isNode ? message.textContent : message);
   const p = document.createElement("p");
   p.style.padding = "0.25rem";
 
-  // Check for the "---" keyword
-  if (typeof message === "string" && message.includes("---")) {
-    // MODIFIED: Wrap the original message without removing "---"
-    p.innerHTML = `<strong style="font-weight: bold;">${message}</strong>`;
-  } 
-  // Existing logic for HTML or plain text messages
-  else if (typeof message === "string" && /<[a-z][\s\S]*>/i.test(message)) {
-    p.innerHTML = message;
+  // Messages are text, whatever they contain, so names and file names from
+  // the user (or a shared link) cannot add markup. Lines that need markup,
+  // like the colored percentages, are built as nodes.
+  if (isNode) {
+    p.append(message);
+  } else if (typeof message === "string" && message.includes("---")) {
+    const heading = document.createElement("strong");
+    heading.style.fontWeight = "bold";
+    heading.textContent = message;
+    p.appendChild(heading);
   } else {
     p.textContent = message;
   }
@@ -77,8 +190,10 @@ console.log = function (message, onClickCallback) {
   if (onClickCallback && typeof onClickCallback === "function") {
     p.classList.add("clickable");
     if (isSummaryPrinting) p.classList.add("printing");
+    // A click while the summary prints finishes the printout instead.
     p.addEventListener("click", () => {
-      if (!isSummaryPrinting) onClickCallback();
+      if (isSummaryPrinting) skipPrintout();
+      else onClickCallback();
     });
   }
 
@@ -105,9 +220,29 @@ function updateAndFormatInput(event) {
     switch (visibleInput.id) {
       case "account-balance-visible":
       case "total-monthly-expenses-visible":
+      case "ruin-balance-visible":
+      case "fixed-risk-visible":
+      case "min-risk-visible":
+      case "max-risk-visible":
+      case "commission-per-trade-visible":
+      case "cost-per-unit-visible":
+      case "risk-per-unit-visible":
+      case "tick-value-visible":
+      case "spread-per-unit-visible":
+      case "monthly-deposit-visible":
+      case "salary-visible":
+      case "salary-minimum-balance-visible":
         formattedValue = formatVisibleCurrency(numberValue);
         break;
       case "win-rate-visible":
+      case "peak-win-rate-visible":
+      case "low-win-rate-visible":
+      case "ruin-drawdown-visible":
+      case "monthly-loss-limit-visible":
+      case "kelly-multiplier-visible":
+      case "expense-inflation-visible":
+      case "withdrawal-percent-visible":
+      case "tax-rate-visible":
       case "estimated-fee-percent-visible":
       case "account-balance-risked-percent-visible":
         formattedValue = `${numberValue}%`;
@@ -116,6 +251,7 @@ function updateAndFormatInput(event) {
         formattedValue = `1:${numberValue}`;
         break;
       case "expenses-begin-month-visible":
+      case "expenses-end-month-visible":
         formattedValue = formatMonthOrdinal(numberValue);
         break;
       case "timeline-visible":
@@ -136,8 +272,38 @@ inputsToFormat.forEach((input) => {
   input.addEventListener("focus", unformatForEditing);
 });
 
+// --- Trade Log Import ---
+document
+  .getElementById("trade-log-file")
+  .addEventListener("change", async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+      importedTradeLog = parseTradeLog(await file.text());
+    } catch (error) {
+      importedTradeLog = null;
+      console.log(`Error: Could not import ${file.name}. ${error.message}`);
+      return;
+    }
+    const summary = summarizeTradeLog(importedTradeLog);
+    console.log(
+      `Imported ${summary.trades.toLocaleString()} trades from ${
+        file.name
+      }: ${(summary.winRate * 100).toFixed(
+        1
+      )}% winners, average winner ${summary.averageWinR.toFixed(
+        2
+      )}R, average loser ${summary.averageLossR.toFixed(
+        2
+      )}R, expectancy ${summary.expectancyR.toFixed(2)}R per trade.`
+    );
+  });
+
 // --- Data Gathering & Validation ---
 function getAndValidateInputs() {
+  const fieldErrors = showFieldValidation();
+  if (fieldErrors.length > 0) return `Error: ${fieldErrors.join(" ")}`;
+
   const parseOrDefault = (id, def, isFloat = true) => {
     const val = (isFloat ? parseFloat : parseInt)(
       document.getElementById(id).value,
@@ -156,18 +322,405 @@ function getAndValidateInputs() {
     simulationTimeline: parseOrDefault("timeline", 12, false),
     simulationRuns: parseOrDefault("simulation-runs", 100000, false),
     myFeePercentage: parseOrDefault("estimated-fee-percent", 3) / 100,
+    seed: parseOrDefault("seed", generateSeed(), false),
+    ruinBalance: parseOrDefault("ruin-balance", 0),
+    ruinDrawdown: parseOrDefault("ruin-drawdown", 0) / 100,
+    monthlyLossLimit: parseOrDefault("monthly-loss-limit", 0) / 100,
+    lossStreakLimit: parseOrDefault("loss-streak-limit", 0, false),
+    lossStreakRiskFactor: parseOrDefault("loss-streak-risk-factor", 0.5),
   };
+  const statisticsMode = document.getElementById("statistics-mode").value;
   for (const key in params) {
     if (isNaN(params[key])) return "Error: Invalid non-numeric value entered.";
   }
-  if (params.simulationRuns > 100000)
-    return "Error: Runs cannot exceed 100,000.";
+
+  const regimeModel = buildRegimeModel(params, parseOrDefault);
+  if (typeof regimeModel === "string") return regimeModel;
+  if (regimeModel) params.regimeModel = regimeModel;
+  params.statisticsMode = statisticsMode;
+
+  const outcomeSource = document.getElementById("outcome-source").value;
+  if (outcomeSource === "trade-log") {
+    if (!importedTradeLog)
+      return "Error: Import a trade log to bootstrap trades from.";
+    const blockSize = parseOrDefault("bootstrap-block-size", 1, false);
+    params.tradeLog = { rMultiples: importedTradeLog, blockSize };
+  } else if (outcomeSource !== "fixed") {
+    const outcomeModel = buildOutcomeModel(
+      outcomeSource,
+      params,
+      parseOrDefault
+    );
+    if (typeof outcomeModel === "string") return outcomeModel;
+    params.outcomeModel = outcomeModel;
+  }
+
+  try {
+    params.cashFlows = {
+      monthlyDeposit: parseOrDefault("monthly-deposit", 0),
+      oneOffs: parseOneOffCashFlows(
+        document.getElementById("one-off-cash-flows").value
+      ),
+      expenseInflation: parseOrDefault("expense-inflation", 0) / 100,
+      expensesEnd: parseOrDefault("expenses-end-month", 0, false),
+    };
+  } catch (error) {
+    return `Error: ${error.message}`;
+  }
+
+  const withdrawalType = document.getElementById("withdrawal-policy").value;
+  if (withdrawalType !== "none") {
+    params.withdrawalPolicy = {
+      type: withdrawalType,
+      percent: parseOrDefault("withdrawal-percent", 50) / 100,
+      amount: parseOrDefault("salary", 0),
+      minimumBalance: parseOrDefault(
+        "salary-minimum-balance",
+        params.startingBalance
+      ),
+    };
+  }
+
+  const taxSchedule = document.getElementById("tax-schedule").value;
+  if (taxSchedule !== "none") {
+    params.taxPolicy = {
+      rate: parseOrDefault("tax-rate", 25) / 100,
+      schedule: taxSchedule,
+    };
+  }
+
+  const timeModelError = applyTimeModel(params);
+  if (timeModelError) return timeModelError;
+
+  const sizing = buildSizing(params, parseOrDefault);
+  if (typeof sizing === "string") return sizing;
+  params.sizing = sizing;
+
+  params.feeModel = {
+    commissionPerTrade: parseOrDefault("commission-per-trade", 0),
+    costPerUnit: parseOrDefault("cost-per-unit", 0),
+    slippageR: parseOrDefault("slippage-r", 0),
+    slippageTicks: parseOrDefault("slippage-ticks", 0),
+    tickValue: parseOrDefault("tick-value", 0),
+    spreadPerUnit: parseOrDefault("spread-per-unit", 0),
+    riskPerUnit: parseOrDefault("risk-per-unit", 0),
+  };
+  const feeModelError = validateFeeModel(params.feeModel);
+  if (feeModelError) return `Error: ${feeModelError}`;
   return params;
 }
 
+// --- Calendar Time Model from the form ---
+function applyTimeModel(params) {
+  params.randomTradeCount =
+    document.getElementById("trade-count-model").value === "poisson";
+  if (document.getElementById("time-model").value !== "calendar") return null;
+
+  const startDate =
+    document.getElementById("start-date").value ||
+    new Date().toISOString().slice(0, 10);
+  const vacationWeeks = document
+    .getElementById("vacation-weeks")
+    .value.split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (
+    vacationWeeks.some(
+      (week) => !Number.isInteger(week) || week < 1 || week > 53
+    )
+  )
+    return "Error: Vacation weeks must be week numbers from 1 to 53.";
+
+  try {
+    params.tradingMonths = buildTradingMonths(
+      {
+        startDate,
+        holidays: parseDateList(
+          document.getElementById("extra-holidays").value
+        ),
+        usHolidays: document.getElementById("market-holidays").value === "us",
+        vacationWeeks,
+      },
+      params.simulationTimeline
+    );
+  } catch (error) {
+    return `Error: ${error.message}`;
+  }
+  return null;
+}
+
+const describeTimeModel = (params) => {
+  const tradeCount = params.randomTradeCount
+    ? "a random (Poisson) number of trades around"
+    : "";
+  if (!params.tradingMonths) {
+    return `4 weeks per month, ${
+      tradeCount || "exactly"
+    } ${params.tradesPerWeek} trades per week`;
+  }
+  const tradingDays = params.tradingMonths.reduce(
+    (sum, month) => sum + month.tradingDays,
+    0
+  );
+  return `calendar months from ${params.tradingMonths[0].label} to ${
+    params.tradingMonths[params.tradingMonths.length - 1].label
+  } (${tradingDays.toLocaleString()} trading days), ${
+    tradeCount || "an average of"
+  } ${params.tradesPerWeek} trades per full trading week`;
+};
+
+// --- Trade Outcome Table or Distribution from the form ---
+function buildOutcomeModel(outcomeSource, params, parseOrDefault) {
+  let model;
+  if (outcomeSource === "table") {
+    const tableText = document.getElementById("outcome-table").value.trim();
+    if (!tableText) {
+      // An empty table falls back to the win rate and R:R preset.
+      model = presetOutcomeTable(params.winRate, params.riskToReward);
+    } else {
+      try {
+        model = parseOutcomeTable(tableText);
+      } catch (error) {
+        return `Error: ${error.message}`;
+      }
+    }
+  } else {
+    model = {
+      type: "parametric",
+      winRate: params.winRate,
+      winMeanR: parseOrDefault("win-mean-r", params.riskToReward),
+      winStdDevR: parseOrDefault("win-stddev-r", 0),
+      lossMeanR: Math.abs(parseOrDefault("loss-mean-r", 1)),
+      lossStdDevR: parseOrDefault("loss-stddev-r", 0),
+    };
+  }
+
+  const modelError = validateOutcomeModel(model);
+  return modelError ? `Error: ${modelError}` : model;
+}
+
+// --- Position Sizing Model from the form ---
+function buildSizing(params, parseOrDefault) {
+  const sizing = {
+    model: document.getElementById("sizing-model").value,
+    fixedRisk: parseOrDefault(
+      "fixed-risk",
+      params.startingBalance * params.riskPerTrade
+    ),
+    minRisk: parseOrDefault("min-risk", 0),
+    maxRisk: parseOrDefault("max-risk", Infinity),
+    kellyMultiplier: parseOrDefault("kelly-multiplier", 50) / 100,
+    stepUpFactor: parseOrDefault("step-up-factor", 1.5),
+    maxStepUps: parseOrDefault("max-step-ups", 3, false),
+  };
+  // Optimal f, and the Kelly fraction of a trade log or outcome model, only
+  // depend on the trade outcomes, so they are found once here instead of in
+  // every run.
+  const outcomes = () =>
+    params.outcomeModel
+      ? outcomeModelOutcomes(params.outcomeModel)
+      : tradeOutcomes(
+          params.winRate,
+          params.riskToReward,
+          params.tradeLog && params.tradeLog.rMultiples
+        );
+  if (sizing.model === "optimal-f") {
+    sizing.optimalFraction = optimalFraction(outcomes());
+  }
+  if (sizing.model === "kelly" && (params.tradeLog || params.outcomeModel)) {
+    sizing.fullKelly = optimalFraction(outcomes());
+  }
+  return sizing;
+}
+
+// --- Market Regime Model from the form ---
+function buildRegimeModel(params, parseOrDefault) {
+  const modelType = document.getElementById("regime-model").value;
+  let model;
+
+  if (modelType === "markov") {
+    const customText = document
+      .getElementById("regime-definitions")
+      .value.trim();
+    if (customText) {
+      let custom;
+      try {
+        custom = JSON.parse(customText);
+      } catch {
+        return "Error: Custom regimes are not valid JSON.";
+      }
+      model = {
+        type: "markov",
+        regimes: (custom.regimes || []).map((regime) => ({
+          ...regime,
+          winRate: regime.winRate / 100,
+        })),
+        transitions: custom.transitions,
+      };
+    } else {
+      model = {
+        type: "markov",
+        regimes: createDefaultRegimes(params.winRate, params.riskToReward),
+        transitions: DEFAULT_TRANSITIONS,
+      };
+    }
+  } else if (modelType === "drift") {
+    model = {
+      type: "drift",
+      lowWinRate:
+        parseOrDefault("low-win-rate", Math.max(0, params.winRate * 100 - 10)) /
+        100,
+      peakWinRate:
+        parseOrDefault("peak-win-rate", Math.min(100, params.winRate * 100 + 10)) /
+        100,
+      riskToReward: params.riskToReward,
+    };
+  } else {
+    return null;
+  }
+
+  const modelError = validateRegimeModel(model);
+  return modelError ? `Error: ${modelError}` : model;
+}
+
+// --- Ruin Level & Circuit Breaker Descriptions ---
+const describeRuinLevel = (params) => {
+  const levels = [
+    `a balance of ${formatVisibleCurrency(params.ruinBalance)} or less`,
+  ];
+  if (params.ruinDrawdown > 0) {
+    levels.push(`a ${(params.ruinDrawdown * 100).toFixed(1)}% drawdown`);
+  }
+  return levels.join(" or ");
+};
+
+const describeWithdrawalPolicy = (policy) => {
+  const percent = `${(policy.percent * 100).toFixed(1)}%`;
+  switch (policy.type) {
+    case "percent-of-profit":
+      return `${percent} of each profitable month's net profit`;
+    case "high-water-mark":
+      return `${percent} of profits above the high-water mark`;
+    default:
+      return `a ${formatVisibleCurrency(
+        policy.amount
+      )} monthly salary, skipped in losing months and never below ${formatVisibleCurrency(
+        policy.minimumBalance
+      )}`;
+  }
+};
+
+const describeCircuitBreakers = (params) => {
+  const breakers = [];
+  if (params.monthlyLossLimit > 0) {
+    breakers.push(
+      `stop for the month after losing ${(params.monthlyLossLimit * 100).toFixed(
+        1
+      )}%`
+    );
+  }
+  if (params.lossStreakLimit > 0) {
+    breakers.push(
+      `risk x${params.lossStreakRiskFactor} after ${params.lossStreakLimit} losses in a row`
+    );
+  }
+  return breakers.join(", ");
+};
+
+// Fan chart of the monthly balance percentiles. Clicking a scenario's name
+// overlays its month-by-month path; clicking it again removes it.
+function renderFanChart(monthlyPercentiles, scenarioRuns) {
+  const container = document.createElement("div");
+  container.className = "fan-chart";
+  const chart = document.createElement("div");
+  const toggles = document.createElement("p");
+  const startingBalance = monthlyPercentiles[0].values[0];
+  let selected = null;
+
+  const draw = () => {
+    const run = scenarioRuns[selected];
+    const paths = run
+      ? [
+          {
+            name: `${selected} path`,
+            values: monthlyPercentiles.map((row) =>
+              row.month === 0
+                ? startingBalance
+                : balanceAtMonth(run.monthlyData, row.month)
+            ),
+          },
+        ]
+      : [];
+    chart.innerHTML = fanChartSvg(monthlyPercentiles, {
+      percentiles: FAN_PERCENTILES,
+      paths,
+      formatValue: formatVisibleCurrency,
+    });
+    toggles.querySelectorAll(".fan-chart-toggle").forEach((toggle) => {
+      toggle.classList.toggle("selected", toggle.dataset.name === selected);
+    });
+  };
+
+  toggles.append("Overlay a path: ");
+  for (const [name, run] of Object.entries(scenarioRuns)) {
+    if (!run) continue;
+    const toggle = document.createElement("span");
+    toggle.className = "clickable fan-chart-toggle";
+    toggle.dataset.name = name;
+    toggle.textContent = name;
+    toggle.addEventListener("click", () => {
+      selected = selected === name ? null : name;
+      draw();
+    });
+    toggles.appendChild(toggle);
+  }
+  container.append(chart, toggles);
+  draw();
+  return container;
+}
+
+// --- Exporting Results ---
+const EXPORT_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+  html: "text/html",
+};
+
+// Saves text as a file through a temporary download link.
+function downloadFile(filename, content) {
+  const extension = filename.split(".").pop();
+  const url = URL.createObjectURL(
+    new Blob([content], { type: EXPORT_TYPES[extension] })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// A line of download links such as "Outcome Buckets: CSV | JSON". files maps
+// each link's text to a function returning [filename, content], so nothing is
+// serialized until a link is clicked.
+function renderExportLinks(label, files) {
+  const line = document.createElement("p");
+  line.className = "export-links";
+  line.append(`${label}: `);
+  Object.entries(files).forEach(([text, build], i) => {
+    if (i > 0) line.append(" | ");
+    const link = document.createElement("span");
+    link.className = "clickable";
+    link.textContent = text;
+    link.addEventListener("click", () => downloadFile(...build()));
+    line.appendChild(link);
+  });
+  return line;
+}
+
 // --- Main Simulation Function ---
-async function runSimulation() {
-  simulationButton.disabled = true;
+// presetParams skips the form, e.g. to show the full summary of a sweep cell.
+async function runSimulation(presetParams) {
+  setActionsDisabled(true);
   outputDiv.innerHTML = "";
 
   const summaryView = document.createElement("div");
@@ -180,198 +733,251 @@ async function runSimulation() {
   const shortDelay = 400;
   const longDelay = 800;
 
-  const validationResult = getAndValidateInputs();
+  const validationResult = presetParams || getAndValidateInputs();
 
   if (typeof validationResult === "string") {
     console.log("\n--- Simulation Aborted ---");
-    await delay(shortDelay);
+    await printDelay(shortDelay);
     console.log(validationResult);
-    simulationButton.disabled = false;
+    setActionsDisabled(false);
     return;
   }
 
   const params = validationResult;
 
-  // --- ROI Calculation Helper ---
-  const calculateAnnualizedROI = (
-    finalBalance,
-    startingBalance,
-    timelineMonths
-  ) => {
-    if (startingBalance <= 0 || timelineMonths <= 0) return 0;
-    const totalReturn = (finalBalance - startingBalance) / startingBalance;
-    const years = timelineMonths / 12;
-    if (years <= 0) return totalReturn * 100;
-
-    if (1 + totalReturn < 0) {
-      return -(Math.pow(Math.abs(1 + totalReturn), 1 / years) - 1) * 100;
-    }
-    const annualizedReturn = Math.pow(1 + totalReturn, 1 / years) - 1;
-    return annualizedReturn * 100;
+  // --- ROI Formatting Helpers ---
+  const formatROI = (roi) =>
+    `${roi.toLocaleString("en-US", {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    })}%`;
+
+  // An annualized return range as text, e.g. "12.5% to 40.1%".
+  const describeROIRange = (range) => {
+    const minROI = range.min * 100;
+    const maxROI = range.max * 100;
+    return minROI.toFixed(1) === maxROI.toFixed(1)
+      ? formatROI(minROI)
+      : `${formatROI(minROI)} to ${formatROI(maxROI)}`;
   };
 
   console.log("\n--- Running Monte Carlo Simulation ---");
-  await delay(shortDelay);
+  await printDelay(shortDelay);
   console.log(
     `Simulating ${params.simulationRuns.toLocaleString()} possible futures...`
   );
+  console.log(`Seed: ${params.seed} (enter this seed to replay these results)`);
+  console.log(
+    `Position sizing: ${describeSizing(params.sizing, params.riskPerTrade)}.`
+  );
+  console.log(
+    `Fees: ${describeFeeModel({
+      ...params.feeModel,
+      feeAsPercentageOfRisk: params.myFeePercentage,
+    })}.`
+  );
+  console.log(`Timeline: ${describeTimeModel(params)}.`);
+  if (params.taxPolicy) {
+    console.log(
+      `Taxes: ${(params.taxPolicy.rate * 100).toFixed(
+        1
+      )}% of net trading gains, paid ${
+        params.taxPolicy.schedule === "quarterly" ? "quarterly" : "annually"
+      }, with losses carried forward.`
+    );
+  }
+  if (params.withdrawalPolicy) {
+    console.log(
+      `Withdrawals: ${describeWithdrawalPolicy(params.withdrawalPolicy)}.`
+    );
+  }
+  console.log(`Ruin level: ${describeRuinLevel(params)}.`);
+  if (describeCircuitBreakers(params)) {
+    console.log(`Circuit breakers: ${describeCircuitBreakers(params)}.`);
+  }
+  if (params.outcomeModel) {
+    const { winRate, expectancyR } = summarizeOutcomeModel(
+      params.outcomeModel
+    );
+    console.log(
+      `Trades drawn from ${
+        params.outcomeModel.type === "table"
+          ? `an outcome table of ${params.outcomeModel.outcomes.length} outcomes`
+          : "a distribution of winners and losers"
+      } (${(winRate * 100).toFixed(1)}% winners, expectancy ${expectancyR.toFixed(
+        2
+      )}R per trade).`
+    );
+  }
+  if (params.tradeLog) {
+    console.log(
+      `Trades bootstrapped from ${params.tradeLog.rMultiples.length.toLocaleString()} imported trades${
+        params.tradeLog.blockSize > 1
+          ? ` in blocks of ${params.tradeLog.blockSize}`
+          : ""
+      }.`
+    );
+  }
   console.log("");
-  await delay(longDelay);
+  await printDelay(longDelay);
 
-  const simulationResults = runMonteCarlo(params, params.simulationRuns);
+  // --- RUN IN WORKERS WITH PROGRESS & CANCEL ---
+  const progressLine = document.createElement("p");
+  progressLine.className = "simulation-progress";
+  const progressBar = document.createElement("progress");
+  progressBar.max = params.simulationRuns;
+  progressBar.value = 0;
+  const progressText = document.createElement("span");
+  progressLine.append(progressBar, progressText);
+  summaryView.appendChild(progressLine);
 
-  // --- CALCULATIONS ---
-  simulationResults.sort((a, b) => a.finalBalance - b.finalBalance);
-
-  const totalAverageBalance =
-    simulationResults.reduce((sum, run) => sum + run.finalBalance, 0) /
-    simulationResults.length;
-  const worstCaseOfAll = simulationResults[0];
-  const bestCaseOfAll = simulationResults[simulationResults.length - 1];
-  const medianOfAll =
-    simulationResults[Math.floor(simulationResults.length / 2)];
-  const averageScenarioOfAll = simulationResults.reduce((prev, curr) =>
-    Math.abs(curr.finalBalance - totalAverageBalance) <
-    Math.abs(prev.finalBalance - totalAverageBalance)
-      ? curr
-      : prev
-  );
-  const survivingRuns = simulationResults.filter((run) => run.survived);
-  const survivalRate = (survivingRuns.length / params.simulationRuns) * 100;
-  const totalRuinCount = simulationResults.reduce(
-    (count, run) => (run.finalBalance <= 0 ? count + 1 : count),
-    0
-  );
-  const profitableCount = simulationResults.filter(
-    (run) => run.finalBalance > params.startingBalance
-  ).length;
-  const losingCount = simulationResults.filter(
-    (run) => run.finalBalance > 0 && run.finalBalance < params.startingBalance
-  ).length;
+  const updateProgress = (completedRuns) => {
+    progressBar.value = completedRuns;
+    progressText.textContent = ` ${completedRuns.toLocaleString()} / ${params.simulationRuns.toLocaleString()} runs (${(
+      (completedRuns / params.simulationRuns) *
+      100
+    ).toFixed(0)}%)`;
+  };
+  updateProgress(0);
 
-  // --- ADAPTIVE HISTOGRAM CALCULATION ---
-  const buckets = [];
-  const totalRuns = simulationResults.length;
-  if (totalRuns > 10) {
-    const cutoffPercentile = 0.98;
-    const numCoreBuckets = 9;
-    const cutoffIndex = Math.floor(totalRuns * cutoffPercentile);
-    const maxBalanceForBuckets = simulationResults[cutoffIndex].finalBalance;
-    const minBalance = worstCaseOfAll.finalBalance;
-    const coreRange = maxBalanceForBuckets - minBalance;
-
-    if (coreRange > 0) {
-      for (let i = 0; i < numCoreBuckets; i++) {
-        const bucketMin = minBalance + i * (coreRange / numCoreBuckets);
-        buckets.push({
-          min: bucketMin,
-          max: bucketMin + coreRange / numCoreBuckets,
-          count: 0,
-          runs: [],
-        });
-      }
-      const outlierBucket = {
-        min: maxBalanceForBuckets,
-        max: bestCaseOfAll.finalBalance,
-        count: 0,
-        runs: [],
-        isOutlierBucket: true,
-      };
+  const abortController = new AbortController();
+  const cancelSimulation = () => abortController.abort();
+  cancelButton.addEventListener("click", cancelSimulation);
+  cancelButton.disabled = false;
 
-      for (const run of simulationResults) {
-        if (run.finalBalance < maxBalanceForBuckets) {
-          const bucketIndex = Math.min(
-            numCoreBuckets - 1,
-            Math.floor(
-              (run.finalBalance - minBalance) / (coreRange / numCoreBuckets)
-            )
-          );
-          if (buckets[bucketIndex]) {
-            buckets[bucketIndex].runs.push(run);
-            buckets[bucketIndex].count++;
-          }
-        } else {
-          outlierBucket.runs.push(run);
-          outlierBucket.count++;
-        }
-      }
+  let simulationResults;
+  try {
+    simulationResults = await runMonteCarloInWorkers(
+      params,
+      params.simulationRuns,
+      { onProgress: updateProgress, signal: abortController.signal }
+    );
+  } catch (error) {
+    progressLine.remove();
+    if (error.name === "AbortError") {
+      console.log("\n--- Simulation Cancelled ---");
+    } else {
+      console.log("\n--- Simulation Aborted ---");
+      console.log(`Error: ${error.message}`);
+    }
+    setActionsDisabled(false);
+    return;
+  } finally {
+    cancelButton.removeEventListener("click", cancelSimulation);
+    cancelButton.disabled = true;
+  }
+  progressLine.remove();
 
-      if (outlierBucket.count > 0) {
-        buckets.push(outlierBucket);
-      }
+  // --- CALCULATIONS ---
+  const summary = summarizeResults(simulationResults, params);
+  const {
+    totalRuns,
+    totalAverageBalance,
+    averageFeesPaid,
+    averageTaxesPaid,
+    worstCaseOfAll,
+    bestCaseOfAll,
+    medianOfAll,
+    averageScenarioOfAll,
+    percentileScenarios,
+    survivingCount,
+    totalRuinCount,
+    profitableCount,
+    losingCount,
+    balanceAtQuantile,
+    balancePoints,
+    regimeTotals,
+    withdrawals,
+    drawdowns,
+    monthlyPercentiles,
+  } = summary;
+  const survivalRate = (survivingCount / params.simulationRuns) * 100;
 
-      for (const bucket of buckets) {
-        bucket.percentage = (bucket.count / totalRuns) * 100;
-        if (bucket.count > 0) {
-          const roiValues = bucket.runs.map((run) =>
-            calculateAnnualizedROI(
-              run.finalBalance,
-              params.startingBalance,
-              params.simulationTimeline
-            )
-          );
-          const minROI = Math.min(...roiValues);
-          const maxROI = Math.max(...roiValues);
-          if (minROI.toFixed(1) === maxROI.toFixed(1)) {
-            bucket.roiRange = `${minROI.toLocaleString("en-US", {
-              minimumFractionDigits: 1,
-              maximumFractionDigits: 1,
-            })}%`;
-          } else {
-            bucket.roiRange = `${minROI.toLocaleString("en-US", {
-              minimumFractionDigits: 1,
-              maximumFractionDigits: 1,
-            })}% to ${maxROI.toLocaleString("en-US", {
-              minimumFractionDigits: 1,
-              maximumFractionDigits: 1,
-            })}%`;
-          }
-        }
-      }
+  // --- ADAPTIVE HISTOGRAM CALCULATION ---
+  const buckets = outcomeBuckets(summary, params);
+  for (const bucket of buckets) {
+    if (bucket.count > 0) {
+      bucket.roiRange = describeROIRange(bucket.roi);
     }
   }
 
   // --- Helper for monthly breakdown ---
-  async function displayMonthlyBreakdown(title, monthlyData) {
+  async function displayMonthlyBreakdown(title, monthlyData, runSeed) {
     if (isViewTransitioning) return;
     isViewTransitioning = true;
+    startPrintout();
 
     detailsView.innerHTML = "";
     activeView = detailsView;
     summaryView.style.display = "none";
     detailsView.style.display = "block";
     console.log(`\n--- Loading Details: ${title} ---`);
-    await delay(shortDelay);
+    await printDelay(shortDelay);
     detailsView.innerHTML = "";
 
     console.log(`\n--- ${title} ---`);
-    await delay(longDelay);
+    await printDelay(longDelay);
+    // Cash-flow columns only appear when the scenario has them.
+    const hasDeposits = monthlyData.some((month) => month.deposit);
+    const hasOneOffs = monthlyData.some((month) => month.oneOff);
+    const hasWithdrawals = monthlyData.some((month) => month.withdrawal);
+    const hasTaxes = monthlyData.some((month) => month.taxes);
     for (const [index, monthData] of monthlyData.entries()) {
       const grossText = `Trade Profit: $${formatConsoleCurrency(
         monthData.grossProfit
       )}`;
+      const feesText = `| Fees: $${formatConsoleCurrency(monthData.fees)}`;
       const expenseText = `| Expenses: $${formatConsoleCurrency(
         monthData.expensesDeducted
       )}`;
       const netText = `| Net Profit: $${formatConsoleCurrency(
         monthData.netProfit
       )}`;
+      const cashFlowText = [
+        hasDeposits &&
+          `| Deposit: $${formatConsoleCurrency(monthData.deposit)}`.padEnd(22),
+        hasOneOffs &&
+          `| One-Off: $${formatConsoleCurrency(monthData.oneOff)}`.padEnd(22),
+        hasTaxes &&
+          `| Taxes: $${formatConsoleCurrency(monthData.taxes)}`.padEnd(22),
+        hasWithdrawals &&
+          `| Withdrawn: $${formatConsoleCurrency(monthData.withdrawal)}`.padEnd(
+            24
+          ),
+      ]
+        .filter(Boolean)
+        .map((text) => `${text} `)
+        .join("");
       const balanceText = `| Ending Balance: $${formatConsoleCurrency(
         monthData.endBalance
       )}`;
+      const regimeText = [
+        monthData.regime,
+        monthData.lossLimitHit && "Loss Limit Hit",
+        monthData.ruined && "Ruined",
+      ]
+        .filter(Boolean)
+        .map((tag) => ` [${tag}]`)
+        .join("");
+      const monthLabel = monthData.label || `Month ${index + 1}`;
+      const tradesText =
+        monthData.trades !== undefined ? ` (${monthData.trades} trades)` : "";
       console.log(
-        `Month ${index + 1}: ${grossText.padEnd(25)} ${expenseText.padEnd(
+        `${monthLabel}${tradesText}${regimeText}: ${grossText.padEnd(25)} ${feesText.padEnd(
+          20
+        )} ${expenseText.padEnd(25)} ${netText.padEnd(
           25
-        )} ${netText.padEnd(25)} ${balanceText}`
+        )} ${cashFlowText}${balanceText}`
       );
-      await delay(100);
+      await printDelay(100);
     }
     console.log("\n--- Scenario Summary ---");
-    await delay(longDelay);
+    await printDelay(longDelay);
     const totalGrossProfit = monthlyData.reduce(
       (sum, month) => sum + month.grossProfit,
       0
     );
+    const totalFees = monthlyData.reduce((sum, month) => sum + month.fees, 0);
     const totalExpenses = monthlyData.reduce(
       (sum, month) => sum + month.expensesDeducted,
       0
@@ -383,15 +989,103 @@ async function runSimulation() {
     console.log(
       `Total Trading Profits: $${formatConsoleCurrency(totalGrossProfit)}`
     );
-    await delay(shortDelay);
+    await printDelay(shortDelay);
+    console.log(`Total Fees Paid: $${formatConsoleCurrency(totalFees)}`);
+    await printDelay(shortDelay);
     console.log(
       `Total Deducted Expenses: $${formatConsoleCurrency(totalExpenses)}`
     );
-    await delay(shortDelay);
+    await printDelay(shortDelay);
+    if (hasDeposits) {
+      const totalDeposits = monthlyData.reduce(
+        (sum, month) => sum + month.deposit,
+        0
+      );
+      console.log(`Total Deposits: $${formatConsoleCurrency(totalDeposits)}`);
+      await printDelay(shortDelay);
+    }
+    if (hasOneOffs) {
+      const totalOneOffs = monthlyData.reduce(
+        (sum, month) => sum + month.oneOff,
+        0
+      );
+      console.log(
+        `Total One-Off Injections & Withdrawals: $${formatConsoleCurrency(
+          totalOneOffs
+        )}`
+      );
+      await printDelay(shortDelay);
+    }
+    if (params.taxPolicy) {
+      const totalTaxes = monthlyData.reduce(
+        (sum, month) => sum + month.taxes,
+        0
+      );
+      console.log(`Total Taxes Paid: $${formatConsoleCurrency(totalTaxes)}`);
+      await printDelay(shortDelay);
+    }
+    if (hasWithdrawals) {
+      const totalWithdrawn = monthlyData.reduce(
+        (sum, month) => sum + month.withdrawal,
+        0
+      );
+      console.log(`Total Withdrawn: $${formatConsoleCurrency(totalWithdrawn)}`);
+      await printDelay(shortDelay);
+    }
     console.log(
       `Final Account Balance: $${formatConsoleCurrency(finalBalance)}`
     );
-    await delay(longDelay);
+    await printDelay(shortDelay);
+    if (monthlyData.some((month) => month.regime)) {
+      const regimeText = Object.entries(countRegimeMonths(monthlyData))
+        .map(([name, months]) => `${name} ${months} mo.`)
+        .join(", ");
+      console.log(`Months per Regime: ${regimeText}`);
+      await printDelay(shortDelay);
+    }
+    const { maxDrawdown, longestDrawdownMonths, recoveryMonths } =
+      measureDrawdowns(monthlyData, params.startingBalance);
+    console.log(
+      `Max Drawdown: ${(maxDrawdown * 100).toFixed(
+        2
+      )}% | Longest Drawdown: ${longestDrawdownMonths} months | ${
+        recoveryMonths === null
+          ? maxDrawdown > 0
+            ? "Never recovered"
+            : "No drawdown"
+          : `Recovered in ${recoveryMonths} months`
+      }`
+    );
+    const tradingDrawdown = measureDrawdowns(
+      monthlyData,
+      params.startingBalance,
+      { trading: true }
+    ).maxDrawdown;
+    console.log(
+      `Trading-only Max Drawdown (without cash flows): ${(
+        tradingDrawdown * 100
+      ).toFixed(2)}%`
+    );
+    await printDelay(shortDelay);
+    console.log(`Scenario Seed: ${runSeed}`);
+    const scenarioFile = `monte-carlo-${params.seed}-scenario-${runSeed}`;
+    detailsView.appendChild(
+      renderExportLinks("Export This Scenario", {
+        CSV: () => [
+          `${scenarioFile}.csv`,
+          toCsv(monthlyBreakdownRecords(monthlyData)),
+        ],
+        JSON: () => [
+          `${scenarioFile}.json`,
+          toJson({
+            scenario: title,
+            seed: runSeed,
+            months: monthlyBreakdownRecords(monthlyData),
+          }),
+        ],
+      })
+    );
+    await printDelay(longDelay);
     console.log("\n« Return to Summary", () => {
       if (isViewTransitioning) return;
       isViewTransitioning = true;
@@ -403,110 +1097,179 @@ async function runSimulation() {
       }, 100);
     });
 
+    finishPrintout();
     isViewTransitioning = false;
   }
 
+  // --- Distribution views: bar chart or text lines ---
+  const preferredDistributionView = document.getElementById("distribution-view")
+    .value;
+
+  // Shows distribution entries as a bar chart in balance order, and as the
+  // original text lines (largest share first), with a link to switch views.
+  // Any bar holding more than one run can be clicked to drill in; text lines
+  // keep drilling in only for buckets of 25% or more.
+  async function showDistribution(entries, { startLabel, endLabel }) {
+    const bars = [...entries].sort((a, b) => a.min - b.min);
+    const chart = document.createElement("div");
+    chart.className = "distribution-chart";
+    chart.innerHTML = barChartSvg(
+      bars.map((entry) => ({
+        value: entry.percentage,
+        color: entry.color,
+        tooltip: entry.tooltip,
+        drillable: Boolean(entry.drillDown),
+      })),
+      { startLabel, endLabel }
+    );
+    chart.querySelectorAll("rect.drillable").forEach((rect) => {
+      rect.addEventListener("click", () => {
+        if (isSummaryPrinting) skipPrintout();
+        else bars[rect.dataset.index].drillDown();
+      });
+    });
+
+    const lines = document.createElement("div");
+    const toggle = document.createElement("p");
+    toggle.className = "clickable distribution-view-toggle";
+    let view = preferredDistributionView;
+    const applyView = () => {
+      chart.style.display = view === "chart" ? "block" : "none";
+      lines.style.display = view === "text" ? "block" : "none";
+      toggle.textContent =
+        view === "chart" ? "Show as Text" : "Show as Bar Chart";
+    };
+    toggle.addEventListener("click", () => {
+      view = view === "chart" ? "text" : "chart";
+      applyView();
+    });
+    applyView();
+    activeView.append(chart, lines, toggle);
+
+    const outerView = activeView;
+    activeView = lines;
+    const textOrder = [...entries].sort((a, b) => b.percentage - a.percentage);
+    for (const entry of textOrder) {
+      const percentage = document.createElement("span");
+      percentage.style.color = entry.color;
+      percentage.style.fontWeight = entry.fontWeight;
+      percentage.textContent = `${entry.percentage.toFixed(2)}%`;
+      const line = document.createDocumentFragment();
+      line.append(`${entry.text} (`, percentage, `)${entry.suffix || ""}`);
+      console.log(
+        line,
+        entry.drillDown && entry.percentage >= 25 ? entry.drillDown : undefined
+      );
+      // Lines printed out of sight are not worth waiting for.
+      if (view === "text") await printDelay(shortDelay);
+    }
+    activeView = outerView;
+    return chart.innerHTML;
+  }
+
   // --- [UPDATED] RECURSIVE Helper for bucket distribution ---
   async function displayBucketDistribution(title, bucketRuns, onBack) {
     if (isViewTransitioning) return;
     isViewTransitioning = true;
+    startPrintout();
 
     detailsView.innerHTML = "";
     activeView = detailsView;
     summaryView.style.display = "none";
     detailsView.style.display = "block";
     console.log(`\n--- Loading Drill-Down: ${title} ---`);
-    await delay(shortDelay);
+    await printDelay(shortDelay);
     detailsView.innerHTML = "";
 
     console.log(`\n--- ${title} ---`);
-    await delay(longDelay);
-
-    const subBuckets = [];
-    const numSubBuckets = 10;
-    const min = bucketRuns[0].finalBalance;
-    const max = bucketRuns[bucketRuns.length - 1].finalBalance;
-    const range = max - min;
-
-    if (range > 0 && bucketRuns.length > 1) {
-      const subBucketSize = range / numSubBuckets;
-      for (let i = 0; i < numSubBuckets; i++) {
-        subBuckets.push({
-          min: min + i * subBucketSize,
-          max: min + (i + 1) * subBucketSize,
-          count: 0,
-          runs: [],
-        });
-      }
-      for (const run of bucketRuns) {
-        const bucketIndex = Math.min(
-          numSubBuckets - 1,
-          Math.floor((run.finalBalance - min) / subBucketSize)
-        );
-        if (subBuckets[bucketIndex]) {
-          subBuckets[bucketIndex].count++;
-          subBuckets[bucketIndex].runs.push(run);
-        }
-      }
+    await printDelay(longDelay);
 
-      let maxSubPercentage = 0;
-      for (const sb of subBuckets) {
-        sb.percentage = (sb.count / bucketRuns.length) * 100;
-        if (sb.percentage > maxSubPercentage) maxSubPercentage = sb.percentage;
-      }
-
-      subBuckets.sort((a, b) => b.percentage - a.percentage);
+    const {
+      min,
+      max,
+      totalRuns: bucketRunCount,
+      buckets: subBuckets,
+    } = drillDownBuckets(bucketRuns, params);
 
+    if (subBuckets.length > 0) {
+      const maxSubPercentage = Math.max(
+        ...subBuckets.map((sb) => sb.percentage)
+      );
+      const entries = [];
       for (const sb of subBuckets) {
-        if (sb.count > 0) {
-          let color;
-          let fontWeight = "normal";
-          if (sb.percentage >= maxSubPercentage * 0.66) {
-            color = "#28a745";
-            fontWeight = "bold";
-          } else if (sb.percentage >= maxSubPercentage * 0.33) {
-            color = "#ffc107";
-          } else {
-            color = "#dc3545";
-          }
-          
-          const rangeText = `$${formatConsoleCurrency(sb.min)} - $${formatConsoleCurrency(sb.max)}`;
-          const htmlMessage = `${rangeText}: ${sb.count.toLocaleString()} Simulations (<span style="color: ${color}; font-weight: ${fontWeight};">${sb.percentage.toFixed(2)}%</span>)`;
-          
-          if (sb.percentage >= 25 && sb.runs.length > 1) {
-            // Create a new "back" function that re-renders the current view
-            const newOnBack = () => displayBucketDistribution(title, bucketRuns, onBack);
-            console.log(htmlMessage, () => displayBucketDistribution(`Distribution for ${rangeText}`, sb.runs, newOnBack));
-          } else {
-            console.log(htmlMessage);
-          }
-          await delay(shortDelay);
+        if (sb.count === 0) continue;
+        let color;
+        let fontWeight = "normal";
+        if (sb.percentage >= maxSubPercentage * 0.66) {
+          color = "#28a745";
+          fontWeight = "bold";
+        } else if (sb.percentage >= maxSubPercentage * 0.33) {
+          color = "#ffc107";
+        } else {
+          color = "#dc3545";
         }
+
+        const rangeText = `$${formatConsoleCurrency(
+          sb.min
+        )} - $${formatConsoleCurrency(sb.max)}`;
+        // Drilling in re-renders this level when coming back.
+        const newOnBack = () =>
+          displayBucketDistribution(title, bucketRuns, onBack);
+        entries.push({
+          min: sb.min,
+          percentage: sb.percentage,
+          color,
+          text: `${rangeText}: ${sb.count.toLocaleString()} Simulations`,
+          fontWeight,
+          tooltip: `${rangeText}: ${sb.count.toLocaleString()} simulations (${sb.percentage.toFixed(
+            2
+          )}%) | ROI: ${describeROIRange(sb.roi)} Ann.`,
+          drillDown:
+            sb.runs.length > 1
+              ? () =>
+                  displayBucketDistribution(
+                    `Distribution for ${rangeText}`,
+                    sb.runs,
+                    newOnBack
+                  )
+              : null,
+        });
       }
+      await showDistribution(entries, {
+        startLabel: `$${formatConsoleCurrency(min)}`,
+        endLabel: `$${formatConsoleCurrency(max)}`,
+      });
     } else {
       console.log(
-        `All ${bucketRuns.length.toLocaleString()} simulations in this bucket had a final balance of ${formatVisibleCurrency(
+        `All ${bucketRunCount.toLocaleString()} simulations in this bucket had a final balance of ${formatVisibleCurrency(
           min
         )}.`
       );
     }
 
-    await delay(longDelay);
+    await printDelay(longDelay);
     console.log("\n« Back", onBack);
 
+    finishPrintout();
     isViewTransitioning = false;
   }
 
   console.log("\n--- Monte Carlo Simulation Results ---");
   isSummaryPrinting = true;
-  await delay(longDelay);
+  startPrintout();
+  await printDelay(longDelay);
+
+  console.log(
+    `Position Sizing: ${describeSizing(params.sizing, params.riskPerTrade)}.`
+  );
+  await printDelay(shortDelay);
 
   console.log(
     `Survival Rate: ${survivalRate.toFixed(
       2
-    )}% (${survivingRuns.length.toLocaleString()} runs) were solvent.`
+    )}% (${survivingCount.toLocaleString()} runs) were solvent.`
   );
-  await delay(shortDelay);
+  await printDelay(shortDelay);
   console.log(
     `Profitable Simulations: ${(
       (profitableCount / params.simulationRuns) *
@@ -515,7 +1278,7 @@ async function runSimulation() {
       2
     )}% (${profitableCount.toLocaleString()} runs) ended above the initial balance.`
   );
-  await delay(shortDelay);
+  await printDelay(shortDelay);
   console.log(
     `Simulations with a Loss: ${(
       (losingCount / params.simulationRuns) *
@@ -524,24 +1287,60 @@ async function runSimulation() {
       2
     )}% (${losingCount.toLocaleString()} runs) ended below the initial balance but were not ruined.`
   );
-  await delay(shortDelay);
+  await printDelay(shortDelay);
   console.log(
     `Total Ruined Simulations: ${(
       (totalRuinCount / params.simulationRuns) *
       100
-    ).toFixed(2)}% of simulations (${totalRuinCount} runs) went to $0 or less.`
+    ).toFixed(
+      2
+    )}% of simulations (${totalRuinCount.toLocaleString()} runs) hit the ruin level (${describeRuinLevel(
+      params
+    )}).`
+  );
+  await printDelay(shortDelay);
+
+  console.log(
+    `Average Fees Paid per Run: ${formatVisibleCurrency(averageFeesPaid)}.`
   );
-  await delay(shortDelay);
+  await printDelay(shortDelay);
+  if (params.taxPolicy) {
+    console.log(
+      `Average Taxes Paid per Run: ${formatVisibleCurrency(averageTaxesPaid)}.`
+    );
+    await printDelay(shortDelay);
+  }
+
+  // --- TIME SPENT IN EACH MARKET REGIME ---
+  if (params.regimeModel) {
+    const totalRegimeMonths = Object.values(regimeTotals).reduce(
+      (sum, months) => sum + months,
+      0
+    );
+    console.log("");
+    console.log("\n--- Time Spent in Each Market Regime ---");
+    await printDelay(longDelay);
+    const sortedRegimes = Object.entries(regimeTotals).sort(
+      (a, b) => b[1] - a[1]
+    );
+    for (const [name, months] of sortedRegimes) {
+      console.log(
+        `${name}: ${((months / totalRegimeMonths) * 100).toFixed(
+          2
+        )}% of simulated months`
+      );
+      await printDelay(shortDelay);
+    }
+  }
 
   // --- DISPLAY OUTCOME DISTRIBUTION ---
+  let outcomeChartSvg = "";
   if (buckets.length > 0) {
     let maxPercentage = Math.max(...buckets.map((b) => b.percentage));
     console.log("");
     console.log("\n--- Outcome Distribution ---");
-    await delay(longDelay);
+    await printDelay(longDelay);
 
-    buckets.sort((a, b) => b.percentage - a.percentage);
-    
     // Define the function that returns to the main summary view
     const returnToSummary = () => {
         if (isViewTransitioning) return;
@@ -552,6 +1351,7 @@ async function runSimulation() {
         setTimeout(() => { isViewTransitioning = false; }, 100);
     };
 
+    const entries = [];
     for (const bucket of buckets) {
       if (bucket.count > 0) {
         let color;
@@ -572,29 +1372,138 @@ async function runSimulation() {
               bucket.max
             )}`;
 
-        const htmlMessage = `${rangeText}: ${bucket.count.toLocaleString()} Simulations (<span style="color: ${color}; font-weight: ${fontWeight};">${bucket.percentage.toFixed(
-          2
-        )}%</span>) | ROI: ${bucket.roiRange} Ann.`;
-
-        if (bucket.percentage >= 25 && bucket.runs.length > 1) {
-          console.log(htmlMessage, () =>
-            displayBucketDistribution(
-              `Distribution for ${rangeText}`,
-              bucket.runs,
-              returnToSummary // The top-level drill-down goes back to the summary
-            )
-          );
-        } else {
-          console.log(htmlMessage);
-        }
-        await delay(shortDelay);
+        entries.push({
+          min: bucket.min,
+          percentage: bucket.percentage,
+          color,
+          text: `${rangeText}: ${bucket.count.toLocaleString()} Simulations`,
+          fontWeight,
+          suffix: ` | ROI: ${bucket.roiRange} Ann.`,
+          tooltip: `${rangeText}: ${bucket.count.toLocaleString()} simulations (${bucket.percentage.toFixed(
+            2
+          )}%) | ROI: ${bucket.roiRange} Ann.`,
+          drillDown:
+            bucket.runs.length > 1
+              ? () =>
+                  displayBucketDistribution(
+                    `Distribution for ${rangeText}`,
+                    bucket.runs,
+                    returnToSummary // The top-level drill-down goes back to the summary
+                  )
+              : null,
+        });
       }
     }
+    const lastBucket = buckets[buckets.length - 1];
+    outcomeChartSvg = await showDistribution(entries, {
+      startLabel: `$${formatConsoleCurrency(buckets[0].min)}`,
+      endLabel: lastBucket.isOutlierBucket
+        ? `$${formatConsoleCurrency(lastBucket.min)}+`
+        : `$${formatConsoleCurrency(lastBucket.max)}`,
+    });
+  }
+
+  // --- TOTAL WITHDRAWN DISTRIBUTION ---
+  if (params.withdrawalPolicy) {
+    console.log("");
+    console.log("\n--- Total Withdrawn Distribution ---");
+    await printDelay(longDelay);
+    console.log(
+      `Average Withdrawn per Run: ${formatVisibleCurrency(
+        withdrawals.average
+      )} | 5th ${formatVisibleCurrency(
+        withdrawals.at(0.05)
+      )} | Median ${formatVisibleCurrency(
+        withdrawals.at(0.5)
+      )} | 95th ${formatVisibleCurrency(withdrawals.at(0.95))}`
+    );
+    await printDelay(shortDelay);
+    for (const bucket of bucketWeightedValues(withdrawals.points, 8)) {
+      console.log(
+        `$${formatConsoleCurrency(bucket.min)} - $${formatConsoleCurrency(
+          bucket.max
+        )}: ${bucket.count.toLocaleString()} Simulations (${(
+          (bucket.count / totalRuns) *
+          100
+        ).toFixed(2)}%)`
+      );
+      await printDelay(shortDelay);
+    }
   }
 
+  // --- DRAWDOWN ANALYSIS ---
+  const formatDrawdown = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+  console.log("");
+  console.log("\n--- Drawdown Analysis ---");
+  await printDelay(longDelay);
+  console.log(
+    `Max Drawdown: 5th ${formatDrawdown(
+      drawdowns.maxDrawdownAt(0.05)
+    )} | 25th ${formatDrawdown(
+      drawdowns.maxDrawdownAt(0.25)
+    )} | Median ${formatDrawdown(
+      drawdowns.maxDrawdownAt(0.5)
+    )} | 75th ${formatDrawdown(
+      drawdowns.maxDrawdownAt(0.75)
+    )} | 95th ${formatDrawdown(drawdowns.maxDrawdownAt(0.95))}`
+  );
+  await printDelay(shortDelay);
+  console.log(
+    `Longest Time Below a Prior Peak: Median ${Math.round(
+      drawdowns.longestDrawdownAt(0.5)
+    )} months | 95th Percentile ${Math.round(
+      drawdowns.longestDrawdownAt(0.95)
+    )} months`
+  );
+  await printDelay(shortDelay);
+  if (drawdowns.drawdownRuns > 0) {
+    console.log(
+      `Recovered From Their Deepest Drawdown: ${(
+        (drawdowns.recovered / drawdowns.drawdownRuns) *
+        100
+      ).toFixed(2)}% of runs with a drawdown${
+        drawdowns.recovered > 0
+          ? ` (median ${Math.round(
+              drawdowns.recoveryMonthsAt(0.5)
+            )} months to recover)`
+          : ""
+      }`
+    );
+    await printDelay(shortDelay);
+  }
+
+  console.log("\n--- Max Drawdown Distribution ---");
+  await printDelay(longDelay);
+  for (const [index, count] of drawdowns.drawdownBuckets.entries()) {
+    if (count === 0) continue;
+    const bucketWidth = 100 / DRAWDOWN_BUCKETS;
+    console.log(
+      `${index * bucketWidth}% - ${
+        (index + 1) * bucketWidth
+      }%: ${count.toLocaleString()} Simulations (${(
+        (count / totalRuns) *
+        100
+      ).toFixed(2)}%)`
+    );
+    await printDelay(shortDelay);
+  }
+
+  console.log("\n--- Balance Over Time ---");
+  await printDelay(longDelay);
+  const representativeRuns = {
+    Average: averageScenarioOfAll,
+    Median: medianOfAll,
+    "Best Case": bestCaseOfAll,
+    "Worst Case": worstCaseOfAll,
+  };
+  summaryView.appendChild(
+    renderFanChart(monthlyPercentiles, representativeRuns)
+  );
+  await printDelay(shortDelay);
+
   // --- CLICKABLE SCENARIO DETAILS ---
   console.log("");
-  await delay(longDelay);
+  await printDelay(longDelay);
 
   if (averageScenarioOfAll) {
     console.log(
@@ -604,10 +1513,11 @@ async function runSimulation() {
       () =>
         displayMonthlyBreakdown(
           "Details for Average Scenario",
-          averageScenarioOfAll.monthlyData
+          averageScenarioOfAll.monthlyData,
+          averageScenarioOfAll.seed
         )
     );
-    await delay(shortDelay);
+    await printDelay(shortDelay);
   }
   if (medianOfAll) {
     console.log(
@@ -617,10 +1527,26 @@ async function runSimulation() {
       () =>
         displayMonthlyBreakdown(
           "Details for Median Scenario",
-          medianOfAll.monthlyData
+          medianOfAll.monthlyData,
+          medianOfAll.seed
         )
     );
-    await delay(shortDelay);
+    await printDelay(shortDelay);
+  }
+  for (const { percentile, run } of percentileScenarios) {
+    if (!run) continue;
+    console.log(
+      `${percentile}th Percentile Final Balance: ${formatVisibleCurrency(
+        run.finalBalance
+      )}`,
+      () =>
+        displayMonthlyBreakdown(
+          `Details for ${percentile}th Percentile Scenario`,
+          run.monthlyData,
+          run.seed
+        )
+    );
+    await printDelay(shortDelay);
   }
   if (bestCaseOfAll) {
     console.log(
@@ -630,10 +1556,11 @@ async function runSimulation() {
       () =>
         displayMonthlyBreakdown(
           "Details for Best Case Scenario",
-          bestCaseOfAll.monthlyData
+          bestCaseOfAll.monthlyData,
+          bestCaseOfAll.seed
         )
     );
-    await delay(shortDelay);
+    await printDelay(shortDelay);
   }
   if (worstCaseOfAll) {
     console.log(
@@ -643,22 +1570,918 @@ async function runSimulation() {
       () =>
         displayMonthlyBreakdown(
           "Details for Worst Case Scenario",
-          worstCaseOfAll.monthlyData
+          worstCaseOfAll.monthlyData,
+          worstCaseOfAll.seed
         )
     );
-    await delay(longDelay);
+    await printDelay(longDelay);
     console.log("");
-    await delay(longDelay);
+    await printDelay(longDelay);
   }
 
   isSummaryPrinting = false;
+  finishPrintout();
   outputDiv
     .querySelectorAll(".clickable.printing")
     .forEach((el) => el.classList.remove("printing"));
+
+  // --- EXPORT RESULTS ---
+  const filePrefix = `monte-carlo-${params.seed}`;
+  const scenarioRecords = () =>
+    Object.entries(representativeRuns)
+      .filter(([, run]) => run)
+      .map(([name, run]) => ({
+        scenario: name,
+        seed: run.seed,
+        finalBalance: run.finalBalance,
+        months: monthlyBreakdownRecords(run.monthlyData),
+      }));
+  const balanceOverTimeRecords = () =>
+    monthlyPercentiles.map((row) => ({
+      month: row.month,
+      ...Object.fromEntries(
+        FAN_PERCENTILES.map((percentile, i) => [
+          `p${percentile}`,
+          row.values[i],
+        ])
+      ),
+    }));
+  const report = () =>
+    htmlReport({
+      title: "Monte Carlo Simulation Report",
+      subtitle: `${totalRuns.toLocaleString()} runs over ${
+        params.simulationTimeline
+      } months, seed ${params.seed}, generated ${new Date().toLocaleString()}.`,
+      sections: [
+        {
+          heading: "Parameters",
+          records: COMPARED_INPUTS.map(([label, describe]) => ({
+            Input: label,
+            Value: describe(params),
+          })),
+        },
+        {
+          heading: "Summary Statistics",
+          records: SUMMARY_STATISTICS.map((row) => ({
+            Statistic: row.label,
+            Value: formatComparedResult(row, row.value(summary)),
+          })),
+        },
+        {
+          heading: "Outcome Distribution",
+          svg: outcomeChartSvg,
+          records: buckets
+            .filter((bucket) => bucket.count > 0)
+            .map((bucket) => ({
+              Range: `${formatVisibleCurrency(
+                bucket.min
+              )} - ${formatVisibleCurrency(bucket.max)}`,
+              Runs: bucket.count.toLocaleString(),
+              Share: `${bucket.percentage.toFixed(2)}%`,
+              "Annualized ROI": bucket.roiRange,
+            })),
+        },
+        {
+          heading: "Balance Over Time",
+          svg: fanChartSvg(monthlyPercentiles, {
+            percentiles: FAN_PERCENTILES,
+            formatValue: formatVisibleCurrency,
+          }),
+        },
+        {
+          heading: "Representative Scenarios",
+          records: scenarioRecords().map((scenario) => ({
+            Scenario: scenario.scenario,
+            "Final Balance": formatVisibleCurrency(scenario.finalBalance),
+            Seed: scenario.seed,
+          })),
+        },
+      ],
+    });
+
+  console.log("\n--- Export Results ---");
+  summaryView.appendChild(
+    renderExportLinks("Summary Statistics", {
+      CSV: () => [`${filePrefix}-summary.csv`, toCsv(summaryRecords(summary))],
+      JSON: () => [
+        `${filePrefix}-summary.json`,
+        toJson(summaryRecords(summary)),
+      ],
+    })
+  );
+  if (buckets.length > 0) {
+    summaryView.appendChild(
+      renderExportLinks("Outcome Buckets", {
+        CSV: () => [
+          `${filePrefix}-buckets.csv`,
+          toCsv(outcomeBucketRecords(buckets, totalRuns)),
+        ],
+        JSON: () => [
+          `${filePrefix}-buckets.json`,
+          toJson(outcomeBucketRecords(buckets, totalRuns)),
+        ],
+      })
+    );
+  }
+  summaryView.appendChild(
+    renderExportLinks("Final Balance of Every Run", {
+      CSV: () => [
+        `${filePrefix}-final-balances.csv`,
+        toCsv(finalBalanceRecords(balancePoints)),
+      ],
+      JSON: () => [
+        `${filePrefix}-final-balances.json`,
+        toJson(finalBalanceRecords(balancePoints)),
+      ],
+    })
+  );
+  summaryView.appendChild(
+    renderExportLinks("Everything", {
+      JSON: () => [
+        `${filePrefix}.json`,
+        toJson({
+          parameters: params,
+          summary: summaryRecords(summary),
+          outcomeBuckets: outcomeBucketRecords(buckets, totalRuns),
+          balanceOverTime: balanceOverTimeRecords(),
+          scenarios: scenarioRecords(),
+        }),
+      ],
+      "HTML Report": () => [`${filePrefix}-report.html`, report()],
+    })
+  );
+  console.log(
+    "Scenario monthly breakdowns can be exported from their details."
+  );
+
   console.log("\n--- Simulation Complete ---");
-  simulationButton.disabled = false;
+  setActionsDisabled(false);
 }
 
+// --- GOAL SEEK & SWEEP ---
+const RATE_PARAMETERS = ["winRate", "riskPerTrade"];
+
+const formatParameterValue = (parameter, value) => {
+  if (RATE_PARAMETERS.includes(parameter)) return `${(value * 100).toFixed(2)}%`;
+  if (parameter === "riskToReward") return `${value.toFixed(2)}R`;
+  if (parameter === "tradesPerWeek") return `${value}/week`;
+  return formatVisibleCurrency(value);
+};
+
+const formatMetricValue = (metric, value) =>
+  metric === "medianBalance"
+    ? formatVisibleCurrency(value)
+    : `${(value * 100).toFixed(2)}%`;
+
+// Reads "95%", "0.95" or "$50,000"; rates above 1 are taken as percentages.
+const parseSolverTarget = (text, metric) => {
+  const value = parseFloat(text.replace(/[$,%\s]/g, ""));
+  if (metric === "medianBalance") return value;
+  return text.includes("%") || value > 1 ? value / 100 : value;
+};
+
+async function runSolver() {
+  setActionsDisabled(true);
+  outputDiv.innerHTML = "";
+  const solverView = document.createElement("div");
+  outputDiv.appendChild(solverView);
+  activeView = solverView;
+
+  const finish = () => setActionsDisabled(false);
+
+  const validationResult = getAndValidateInputs();
+  if (typeof validationResult === "string") {
+    console.log("\n--- Goal Seek Aborted ---");
+    console.log(validationResult);
+    finish();
+    return;
+  }
+  const params = validationResult;
+
+  const metric = document.getElementById("solver-metric").value;
+  const targetText = document.getElementById("solver-target").value.trim();
+  const goal = {
+    parameter: document.getElementById("solver-parameter").value,
+    metric,
+    target: parseSolverTarget(targetText || "95%", metric),
+    runs: parseInt(document.getElementById("solver-runs").value, 10) || 1000,
+  };
+  const goalError = validateGoal(params, goal);
+  if (goalError) {
+    console.log("\n--- Goal Seek Aborted ---");
+    console.log(`Error: ${goalError}`);
+    finish();
+    return;
+  }
+
+  const parameterLabel = SOLVER_PARAMETERS[goal.parameter].label;
+  console.log("\n--- Goal Seek ---");
+  console.log(`Solving For: ${parameterLabel}`);
+  console.log(
+    `Target: ${SOLVER_METRICS[metric].label} of at least ${formatMetricValue(
+      metric,
+      goal.target
+    )}`
+  );
+  console.log(
+    `Runs per Step: ${goal.runs.toLocaleString()} (Seed: ${params.seed})`
+  );
+
+  const progressLine = document.createElement("p");
+  progressLine.className = "simulation-progress";
+  const progressBar = document.createElement("progress");
+  const progressText = document.createElement("span");
+  progressLine.append(progressBar, progressText);
+  solverView.appendChild(progressLine);
+
+  const abortController = new AbortController();
+  const cancelSolver = () => abortController.abort();
+  cancelButton.addEventListener("click", cancelSolver);
+  cancelButton.disabled = false;
+
+  let result;
+  try {
+    result = await solveForParameter(params, goal, {
+      simulate: (trialParams, runs) =>
+        runMonteCarloInWorkers(trialParams, runs, {
+          signal: abortController.signal,
+        }),
+      onProgress: (completed, total) => {
+        progressBar.max = total;
+        progressBar.value = completed;
+        progressText.textContent = ` ${completed} / ${total} steps`;
+      },
+    });
+  } catch (error) {
+    progressLine.remove();
+    if (error.name === "AbortError") {
+      console.log("\n--- Goal Seek Cancelled ---");
+    } else {
+      console.log("\n--- Goal Seek Aborted ---");
+      console.log(`Error: ${error.message}`);
+    }
+    finish();
+    return;
+  } finally {
+    cancelButton.removeEventListener("click", cancelSolver);
+    cancelButton.disabled = true;
+  }
+  progressLine.remove();
+
+  console.log("\n--- Goal Seek Result ---");
+  if (result.value === null) {
+    console.log(
+      `The target cannot be reached for any ${parameterLabel.toLowerCase()} between ${formatParameterValue(
+        goal.parameter,
+        SOLVER_PARAMETERS[goal.parameter].minimum
+      )} and ${formatParameterValue(
+        goal.parameter,
+        SOLVER_PARAMETERS[goal.parameter].maximum(params)
+      )}.`
+    );
+  } else {
+    console.log(
+      `Solved ${parameterLabel}: ${formatParameterValue(
+        goal.parameter,
+        result.value
+      )}`
+    );
+    const confidenceLabel = `${Math.round(
+      result.confidence * 100
+    )}% Confidence Band`;
+    if (result.band) {
+      console.log(
+        `${confidenceLabel}: ${formatParameterValue(
+          goal.parameter,
+          result.band[0]
+        )} to ${formatParameterValue(
+          goal.parameter,
+          result.band[1]
+        )} (t-interval over ${result.solutions.length} seeds)`
+      );
+    } else {
+      console.log(
+        `${confidenceLabel}: needs at least two seeds that reach the target.`
+      );
+    }
+    if (result.unreachable > 0) {
+      console.log(
+        `Note: ${result.unreachable} of the seeds never reached the target, so the answer is borderline.`
+      );
+    }
+  }
+  console.log("\n--- Goal Seek Complete ---");
+  finish();
+}
+
+// Default axis ranges, in the units typed into the form.
+const SWEEP_DEFAULT_RANGES = {
+  winRate: [30, 70],
+  riskToReward: [1, 3],
+  riskPerTrade: [0.5, 5],
+  tradesPerWeek: [1, 20],
+  totalMonthlyExpenses: [0, 10000],
+};
+
+const readSweepAxis = (axis) => {
+  const parameter = document.getElementById(`sweep-${axis}-parameter`).value;
+  const [defaultFrom, defaultTo] = SWEEP_DEFAULT_RANGES[parameter];
+  const readNumber = (id, def) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return isNaN(value) ? def : value;
+  };
+  const scale = RATE_PARAMETERS.includes(parameter) ? 100 : 1;
+  const values = sweepValues(
+    readNumber(`sweep-${axis}-from`, defaultFrom) / scale,
+    readNumber(`sweep-${axis}-to`, defaultTo) / scale,
+    Math.min(20, readNumber(`sweep-${axis}-steps`, 5)),
+    SWEEP_PARAMETERS[parameter].integer
+  );
+  return { parameter, values };
+};
+
+// Red (worst) to green (best) across the values on the grid; rates use 0-100%.
+const heatmapColor = (metric, value, lowest, highest) => {
+  const [low, high] = metric === "medianRoi" ? [lowest, highest] : [0, 1];
+  const share = high > low ? (value - low) / (high - low) : 1;
+  return `hsl(${Math.round(Math.max(0, Math.min(1, share)) * 120)}, 70%, 60%)`;
+};
+
+function renderSweepHeatmap(sweepResult, sweep, onCellClick) {
+  const values = sweepResult.rows.flat().map((cell) => cell.value);
+  const lowest = Math.min(...values);
+  const highest = Math.max(...values);
+
+  const table = document.createElement("table");
+  table.className = "sweep-heatmap";
+  const headerRow = table.insertRow();
+  const corner = document.createElement("th");
+  corner.textContent = `${SWEEP_PARAMETERS[sweep.yParameter].label} \\ ${
+    SWEEP_PARAMETERS[sweep.xParameter].label
+  }`;
+  headerRow.appendChild(corner);
+  sweepResult.xValues.forEach((x) => {
+    const th = document.createElement("th");
+    th.textContent = formatParameterValue(sweep.xParameter, x);
+    headerRow.appendChild(th);
+  });
+
+  sweepResult.rows.forEach((row, i) => {
+    const tableRow = table.insertRow();
+    const th = document.createElement("th");
+    th.textContent = formatParameterValue(
+      sweep.yParameter,
+      sweepResult.yValues[i]
+    );
+    tableRow.appendChild(th);
+    row.forEach((cell) => {
+      const td = tableRow.insertCell();
+      td.textContent = formatMetricValue(sweep.metric, cell.value);
+      td.style.backgroundColor = heatmapColor(
+        sweep.metric,
+        cell.value,
+        lowest,
+        highest
+      );
+      td.title = `${formatParameterValue(
+        sweep.xParameter,
+        cell.x
+      )}, ${formatParameterValue(sweep.yParameter, cell.y)}: click for the full summary`;
+      td.addEventListener("click", () => onCellClick(cell));
+    });
+  });
+  return table;
+}
+
+async function runParameterSweep() {
+  setActionsDisabled(true);
+  outputDiv.innerHTML = "";
+  const sweepView = document.createElement("div");
+  outputDiv.appendChild(sweepView);
+  activeView = sweepView;
+
+  const validationResult = getAndValidateInputs();
+  if (typeof validationResult === "string") {
+    console.log("\n--- Sweep Aborted ---");
+    console.log(validationResult);
+    setActionsDisabled(false);
+    return;
+  }
+  const params = validationResult;
+
+  const xAxis = readSweepAxis("x");
+  const yAxis = readSweepAxis("y");
+  const sweep = {
+    xParameter: xAxis.parameter,
+    xValues: xAxis.values,
+    yParameter: yAxis.parameter,
+    yValues: yAxis.values,
+    metric: document.getElementById("sweep-metric").value,
+    runs: parseInt(document.getElementById("sweep-runs").value, 10) || 500,
+  };
+  const sweepError = validateSweep(params, sweep);
+  if (sweepError) {
+    console.log("\n--- Sweep Aborted ---");
+    console.log(`Error: ${sweepError}`);
+    setActionsDisabled(false);
+    return;
+  }
+
+  console.log("\n--- Parameter Sweep ---");
+  console.log(
+    `${SOLVER_METRICS[sweep.metric].label} by ${
+      SWEEP_PARAMETERS[sweep.xParameter].label
+    } and ${SWEEP_PARAMETERS[sweep.yParameter].label}`
+  );
+  console.log(
+    `Runs per Cell: ${sweep.runs.toLocaleString()} (Seed: ${params.seed})`
+  );
+
+  const progressLine = document.createElement("p");
+  progressLine.className = "simulation-progress";
+  const progressBar = document.createElement("progress");
+  const progressText = document.createElement("span");
+  progressLine.append(progressBar, progressText);
+  sweepView.appendChild(progressLine);
+
+  const abortController = new AbortController();
+  const cancelSweep = () => abortController.abort();
+  cancelButton.addEventListener("click", cancelSweep);
+  cancelButton.disabled = false;
+
+  let sweepResult;
+  try {
+    sweepResult = await runSweep(params, sweep, {
+      simulate: (cellParams, runs) =>
+        runMonteCarloInWorkers(cellParams, runs, {
+          signal: abortController.signal,
+        }),
+      onProgress: (completed, total) => {
+        progressBar.max = total;
+        progressBar.value = completed;
+        progressText.textContent = ` ${completed} / ${total} cells`;
+      },
+    });
+  } catch (error) {
+    progressLine.remove();
+    if (error.name === "AbortError") {
+      console.log("\n--- Sweep Cancelled ---");
+    } else {
+      console.log("\n--- Sweep Aborted ---");
+      console.log(`Error: ${error.message}`);
+    }
+    setActionsDisabled(false);
+    return;
+  } finally {
+    cancelButton.removeEventListener("click", cancelSweep);
+    cancelButton.disabled = true;
+  }
+  progressLine.remove();
+
+  const showSweep = () => {
+    outputDiv.innerHTML = "";
+    outputDiv.appendChild(sweepView);
+    activeView = sweepView;
+  };
+  const openCell = async (cell) => {
+    if (simulationButton.disabled) return;
+    // Same params, seed and run count as the cell, so the summary matches it.
+    await runSimulation(cell.params);
+    console.log("Back to Sweep Heatmap", showSweep);
+  };
+
+  sweepView.appendChild(renderSweepHeatmap(sweepResult, sweep, openCell));
+  console.log("Click a cell for its full summary.");
+  console.log("\n--- Sweep Complete ---");
+  setActionsDisabled(false);
+}
+
+// --- SCENARIO COMPARISON ---
+const savedScenarios = [];
+
+const showSavedScenarios = () => {
+  document.getElementById("saved-scenarios").textContent =
+    savedScenarios.length > 0
+      ? `Saved: ${savedScenarios.map((scenario) => scenario.name).join(", ")}`
+      : "No saved scenarios.";
+};
+
+function saveScenario() {
+  const validationResult = getAndValidateInputs();
+  if (typeof validationResult === "string") {
+    console.log(validationResult);
+    return;
+  }
+  const nameInput = document.getElementById("scenario-name");
+  const name =
+    nameInput.value.trim() || `Scenario ${savedScenarios.length + 1}`;
+  // Saving under an existing name replaces that scenario.
+  const existing = savedScenarios.findIndex(
+    (scenario) => scenario.name === name
+  );
+  if (existing >= 0) {
+    savedScenarios[existing] = { name, params: validationResult };
+  } else {
+    savedScenarios.push({ name, params: validationResult });
+  }
+  nameInput.value = "";
+  showSavedScenarios();
+  console.log(`Saved scenario "${name}".`);
+}
+
+// Inputs listed in the comparison when they differ between scenarios.
+const COMPARED_INPUTS = [
+  ["Initial Balance", (p) => formatVisibleCurrency(p.startingBalance)],
+  ["Risk per Trade", (p) => `${(p.riskPerTrade * 100).toFixed(2)}%`],
+  ["Position Sizing", (p) => describeSizing(p.sizing, p.riskPerTrade)],
+  ["Win Rate", (p) => `${(p.winRate * 100).toFixed(2)}%`],
+  ["R:R", (p) => `1:${p.riskToReward}`],
+  ["Trades per Week", (p) => `${p.tradesPerWeek}`],
+  [
+    "Outcome Model",
+    (p) =>
+      p.tradeLog
+        ? "Trade log"
+        : p.outcomeModel
+        ? p.outcomeModel.type
+        : "Win rate & R:R",
+  ],
+  ["Market Regimes", (p) => (p.regimeModel ? p.regimeModel.type : "None")],
+  [
+    "Fees",
+    (p) =>
+      describeFeeModel({
+        ...p.feeModel,
+        feeAsPercentageOfRisk: p.myFeePercentage,
+      }),
+  ],
+  [
+    "Monthly Expenses",
+    (p) =>
+      p.expensesBegin > 0
+        ? `${formatVisibleCurrency(p.totalMonthlyExpenses)} from month ${
+            p.expensesBegin
+          }`
+        : "None",
+  ],
+  [
+    "Withdrawals",
+    (p) =>
+      p.withdrawalPolicy
+        ? describeWithdrawalPolicy(p.withdrawalPolicy)
+        : "None",
+  ],
+  [
+    "Taxes",
+    (p) =>
+      p.taxPolicy
+        ? `${(p.taxPolicy.rate * 100).toFixed(1)}% ${p.taxPolicy.schedule}`
+        : "None",
+  ],
+  ["Timeline", (p) => `${p.simulationTimeline} months`],
+  ["Runs", (p) => p.simulationRuns.toLocaleString()],
+  ["Seed", (p) => `${p.seed}`],
+];
+
+const formatComparedResult = (row, value) =>
+  row.format === "percent"
+    ? `${(value * 100).toFixed(2)}%`
+    : formatVisibleCurrency(value);
+
+function renderComparisonTable(scenarios, summaries) {
+  const table = document.createElement("table");
+  table.className = "scenario-comparison";
+  const addRow = (label, cells, className) => {
+    const row = table.insertRow();
+    if (className) row.className = className;
+    const th = document.createElement("th");
+    th.textContent = label;
+    row.appendChild(th);
+    return cells.map((text) => {
+      const td = row.insertCell();
+      td.textContent = text;
+      return td;
+    });
+  };
+
+  addRow(
+    "",
+    scenarios.map((scenario) => scenario.name),
+    "comparison-header"
+  );
+  for (const [label, describe] of COMPARED_INPUTS) {
+    const values = scenarios.map((scenario) => describe(scenario.params));
+    if (new Set(values).size > 1) addRow(label, values, "comparison-changed");
+  }
+  for (const row of SUMMARY_STATISTICS) {
+    const values = summaries.map(row.value);
+    const cells = addRow(
+      row.label,
+      values.map((value) => formatComparedResult(row, value))
+    );
+    // Mark the best and worst scenario whenever the results differ.
+    const best =
+      row.better === "higher" ? Math.max(...values) : Math.min(...values);
+    const worst =
+      row.better === "higher" ? Math.min(...values) : Math.max(...values);
+    if (new Set(cells.map((cell) => cell.textContent)).size > 1) {
+      values.forEach((value, i) => {
+        if (value === best) cells[i].classList.add("comparison-best");
+        if (value === worst) cells[i].classList.add("comparison-worst");
+      });
+    }
+  }
+  return table;
+}
+
+async function compareScenarios() {
+  if (savedScenarios.length < 2) {
+    console.log("Error: Save at least two scenarios to compare them.");
+    return;
+  }
+  setActionsDisabled(true);
+  outputDiv.innerHTML = "";
+  const comparisonView = document.createElement("div");
+  outputDiv.appendChild(comparisonView);
+  activeView = comparisonView;
+  console.log("\n--- Comparing Scenarios ---");
+
+  const progressLine = document.createElement("p");
+  progressLine.className = "simulation-progress";
+  const progressBar = document.createElement("progress");
+  const progressText = document.createElement("span");
+  progressLine.append(progressBar, progressText);
+  comparisonView.appendChild(progressLine);
+
+  const abortController = new AbortController();
+  const cancelComparison = () => abortController.abort();
+  cancelButton.addEventListener("click", cancelComparison);
+  cancelButton.disabled = false;
+
+  const summaries = [];
+  try {
+    for (const [i, scenario] of savedScenarios.entries()) {
+      const { params } = scenario;
+      progressBar.max = params.simulationRuns;
+      const results = await runMonteCarloInWorkers(
+        params,
+        params.simulationRuns,
+        {
+          signal: abortController.signal,
+          onProgress: (completedRuns) => {
+            progressBar.value = completedRuns;
+            progressText.textContent = ` ${scenario.name} (${i + 1} of ${
+              savedScenarios.length
+            }): ${completedRuns.toLocaleString()} / ${params.simulationRuns.toLocaleString()} runs`;
+          },
+        }
+      );
+      summaries.push(summarizeResults(results, params));
+    }
+  } catch (error) {
+    progressLine.remove();
+    if (error.name === "AbortError") {
+      console.log("\n--- Comparison Cancelled ---");
+    } else {
+      console.log("\n--- Comparison Aborted ---");
+      console.log(`Error: ${error.message}`);
+    }
+    setActionsDisabled(false);
+    return;
+  } finally {
+    cancelButton.removeEventListener("click", cancelComparison);
+    cancelButton.disabled = true;
+  }
+  progressLine.remove();
+
+  comparisonView.appendChild(renderComparisonTable(savedScenarios, summaries));
+  console.log(
+    "Changed inputs are highlighted; the best result in each row is green and the worst red."
+  );
+
+  console.log("\n--- Final Balance Distributions ---");
+  const chart = document.createElement("div");
+  chart.className = "comparison-chart";
+  // The outer 1% of runs would stretch the shared axis, so they are clamped.
+  chart.innerHTML = overlaidHistogramSvg(
+    savedScenarios.map((scenario, i) => ({
+      name: scenario.name,
+      points: summaries[i].balancePoints.map((point) => ({
+        value: point.finalBalance,
+        count: runWeight(point),
+      })),
+    })),
+    {
+      min: Math.min(...summaries.map((s) => s.balanceAtQuantile(0.01))),
+      max: Math.max(...summaries.map((s) => s.balanceAtQuantile(0.99))),
+      formatValue: formatVisibleCurrency,
+    }
+  );
+  comparisonView.appendChild(chart);
+  console.log("\n--- Comparison Complete ---");
+  setActionsDisabled(false);
+}
+
+// --- SHAREABLE URL STATE & PRESETS ---
+// Every input getAndValidateInputs reads, plus the seed and mode options. The
+// hidden half of each formatted pair holds the raw value; goal seek, sweep,
+// scenario and preset controls are not part of a configuration.
+const parameterFields = [
+  ...document.querySelectorAll(
+    "#simulation-form input, #simulation-form select, #simulation-form textarea"
+  ),
+].filter(
+  (field) =>
+    field.type !== "file" &&
+    !field.id.endsWith("-visible") &&
+    !/^(solver|sweep|scenario|preset)-/.test(field.id)
+);
+
+// Inputs start empty (hidden inputs have no separate default to read).
+const defaultFieldValue = (field) =>
+  field.tagName === "SELECT"
+    ? (
+        [...field.options].find((option) => option.defaultSelected) ||
+        field.options[0]
+      ).value
+    : "";
+
+// The inputs that differ from a fresh page, which is all a link or preset needs.
+const changedFormState = () =>
+  Object.fromEntries(
+    parameterFields
+      .filter((field) => field.value !== defaultFieldValue(field))
+      .map((field) => [field.id, field.value])
+  );
+
+// Fields missing from values go back to their defaults.
+function applyFormState(values) {
+  for (const field of parameterFields) {
+    const value = values[field.id] ?? defaultFieldValue(field);
+    const isOption =
+      field.tagName !== "SELECT" ||
+      [...field.options].some((option) => option.value === value);
+    field.value = isOption ? value : defaultFieldValue(field);
+    const visibleInput = document.getElementById(`${field.id}-visible`);
+    if (visibleInput) {
+      visibleInput.value = field.value;
+      updateAndFormatInput({ target: visibleInput });
+    }
+  }
+  showFieldValidation();
+}
+
+// Keeps the address bar in step with the form.
+const syncUrlWithForm = () => {
+  const query = encodeFormState(changedFormState());
+  history.replaceState(null, "", query ? `?${query}` : location.pathname);
+};
+
+const restoredFromUrl = Boolean(location.search);
+if (restoredFromUrl) {
+  applyFormState(
+    decodeFormState(
+      location.search,
+      parameterFields.map((field) => field.id)
+    )
+  );
+}
+const simulationForm = document.getElementById("simulation-form");
+// focusout runs after the formatting blur handler has set the hidden value.
+simulationForm.addEventListener("change", syncUrlWithForm);
+simulationForm.addEventListener("focusout", syncUrlWithForm);
+
+// --- INLINE FIELD VALIDATION ---
+// Marks every input with an error or warning and returns the error messages.
+// Declared as a function so restoring a link above can already use it.
+function showFieldValidation() {
+  const { errors, warnings } = validateFormValues(
+    Object.fromEntries(parameterFields.map((field) => [field.id, field.value]))
+  );
+  document
+    .querySelectorAll(".field-message")
+    .forEach((message) => message.remove());
+  document.querySelectorAll("[aria-invalid]").forEach((input) => {
+    input.classList.remove("field-invalid");
+    input.removeAttribute("aria-invalid");
+  });
+
+  // An input with both shows only its error.
+  for (const [id, text] of Object.entries({ ...warnings, ...errors })) {
+    // Messages go under the input the user types in: the visible half of a
+    // formatted pair.
+    const input =
+      document.getElementById(`${id}-visible`) || document.getElementById(id);
+    const isError = id in errors;
+    const message = document.createElement("p");
+    message.className = `field-message ${
+      isError ? "field-error" : "field-warning"
+    }`;
+    message.textContent = isError ? text : `Warning: ${text}`;
+    if (isError) {
+      input.classList.add("field-invalid");
+      input.setAttribute("aria-invalid", "true");
+    }
+    input.after(message);
+  }
+  return Object.values(errors);
+}
+simulationForm.addEventListener("change", showFieldValidation);
+simulationForm.addEventListener("focusout", showFieldValidation);
+
+const presetStore = createPresetStore(localStorage);
+const presetList = document.getElementById("preset-list");
+const presetNameInput = document.getElementById("preset-name");
+
+const showPresets = (selectedName) => {
+  presetList.innerHTML = "";
+  const names = presetStore.list();
+  if (names.length === 0) {
+    presetList.add(new Option("No saved presets", ""));
+    return;
+  }
+  for (const name of names) {
+    presetList.add(new Option(name, name, false, name === selectedName));
+  }
+};
+
+// Preset errors are messages for the user, printed like validation errors.
+const presetAction = (action) => () => {
+  try {
+    action();
+  } catch (error) {
+    console.log(`Error: ${error.message}`);
+  }
+};
+
+const savePreset = presetAction(() => {
+  const validationResult = getAndValidateInputs();
+  if (typeof validationResult === "string") {
+    console.log(validationResult);
+    return;
+  }
+  const name = presetStore.save(presetNameInput.value, changedFormState());
+  presetNameInput.value = "";
+  showPresets(name);
+  console.log(`Saved preset "${name}".`);
+});
+
+const loadPreset = presetAction(() => {
+  const name = presetList.value;
+  applyFormState(presetStore.get(name));
+  syncUrlWithForm();
+  console.log(`Loaded preset "${name}".`);
+});
+
+const renamePreset = presetAction(() => {
+  const name = presetList.value;
+  const newName = presetStore.rename(name, presetNameInput.value);
+  presetNameInput.value = "";
+  showPresets(newName);
+  console.log(`Renamed preset "${name}" to "${newName}".`);
+});
+
+const deletePreset = presetAction(() => {
+  const name = presetList.value;
+  presetStore.remove(name);
+  showPresets();
+  console.log(`Deleted preset "${name}".`);
+});
+
+const exportPresets = presetAction(() => {
+  downloadFile("trade-simulator-presets.json", presetStore.exportJson());
+});
+
+document
+  .getElementById("preset-import-file")
+  .addEventListener("change", async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    event.target.value = "";
+    presetAction(() => {
+      const names = presetStore.importJson(text);
+      showPresets(names[0]);
+      console.log(
+        `Imported ${names.length} preset${names.length === 1 ? "" : "s"} from ${
+          file.name
+        }: ${names.join(", ")}.`
+      );
+    })();
+  });
+
+async function copyShareLink() {
+  syncUrlWithForm();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    console.log("Share link copied to the clipboard.");
+  } catch {
+    console.log(`Share link: ${location.href}`);
+  }
+}
+
+showPresets();
+
 // --- Event Listener & Display ---
 (async () => {
   const initialView = document.createElement("div");
@@ -666,6 +2489,34 @@ async function runSimulation() {
   activeView = initialView;
   console.log("\nBooting Up Monte Carlo Simulator...");
   await delay(1000);
+  if (restoredFromUrl) {
+    console.log("Inputs restored from the link.");
+  }
   console.log("Please enter your inputs then press the button.");
 })();
-simulationButton.addEventListener("click", runSimulation);
\ No newline at end of file
+simulationButton.addEventListener("click", () => runSimulation());
+skipButton.addEventListener("click", skipPrintout);
+solveButton.addEventListener("click", runSolver);
+sweepButton.addEventListener("click", runParameterSweep);
+compareButton.addEventListener("click", compareScenarios);
+document
+  .getElementById("save-scenario")
+  .addEventListener("click", saveScenario);
+document.getElementById("clear-scenarios").addEventListener("click", () => {
+  savedScenarios.length = 0;
+  showSavedScenarios();
+});
+document.getElementById("save-preset").addEventListener("click", savePreset);
+document.getElementById("load-preset").addEventListener("click", loadPreset);
+document
+  .getElementById("rename-preset")
+  .addEventListener("click", renamePreset);
+document
+  .getElementById("delete-preset")
+  .addEventListener("click", deletePreset);
+document
+  .getElementById("export-presets")
+  .addEventListener("click", exportPresets);
+document
+  .getElementById("copy-share-link")
+  .addEventListener("click", copyShareLink);
@@ -0,0 +1,150 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// All dates are handled as UTC midnight so time zones never shift a day.
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+function nthWeekday(year, month, weekday, n) {
+    const first = utcDate(year, month, 1);
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return utcDate(year, month, 1 + offset + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, weekday) {
+    const last = utcDate(year, month + 1, 0);
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return utcDate(year, month, last.getUTCDate() - offset);
+}
+
+// Fixed-date holidays on a weekend are observed on the Friday before or Monday after.
+function observed(date) {
+    const weekday = date.getUTCDay();
+    if (weekday === 6) {
+        return new Date(date.getTime() - DAY_MS);
+    }
+    if (weekday === 0) {
+        return new Date(date.getTime() + DAY_MS);
+    }
+    return date;
+}
+
+function easterSunday(year) {
+    // Anonymous Gregorian algorithm.
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month, day);
+}
+
+/**
+ * Lists the US stock market (NYSE) full-day holidays of a year as ISO dates.
+ */
+export function usMarketHolidays(year) {
+    const holidays = [
+        nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+        nthWeekday(year, 1, 1, 3), // Presidents' Day
+        new Date(easterSunday(year).getTime() - 2 * DAY_MS), // Good Friday
+        lastWeekday(year, 4, 1), // Memorial Day
+        observed(utcDate(year, 6, 4)), // Independence Day
+        nthWeekday(year, 8, 1, 1), // Labor Day
+        nthWeekday(year, 10, 4, 4), // Thanksgiving
+        observed(utcDate(year, 11, 25)) // Christmas
+    ];
+    // New Year's Day falling on a Saturday is not observed the Friday before.
+    const newYear = utcDate(year, 0, 1);
+    if (newYear.getUTCDay() !== 6) {
+        holidays.push(observed(newYear));
+    }
+    if (year >= 2022) {
+        holidays.push(observed(utcDate(year, 5, 19))); // Juneteenth
+    }
+    return holidays.map(isoDate).sort();
+}
+
+/**
+ * Returns the ISO week number (1-53) of a date.
+ */
+export function isoWeekNumber(date) {
+    // Weeks belong to the year of their Thursday; week 1 holds January 4th.
+    const thursdayOf = (day) => new Date(day.getTime() + (3 - ((day.getUTCDay() + 6) % 7)) * DAY_MS);
+    const thursday = thursdayOf(date);
+    const firstThursday = thursdayOf(utcDate(thursday.getUTCFullYear(), 0, 4));
+    return 1 + Math.round((thursday - firstThursday) / (7 * DAY_MS));
+}
+
+/**
+ * Builds the calendar months of a timeline, starting on startDate (an ISO
+ * date; the first month runs from that day to the end of its month).
+ * Each month is { label, month, tradingDays }: month is the calendar month
+ * (0 for January) and trading days are weekdays that are not market holidays
+ * or inside one of the vacation weeks.
+ *
+ * calendar holds { startDate, holidays, usHolidays, vacationWeeks }: holidays
+ * is a list of extra ISO dates, usHolidays adds the US market holidays, and
+ * vacationWeeks lists ISO week numbers taken off every year.
+ */
+export function buildTradingMonths(calendar, months) {
+    const { startDate, holidays = [], usHolidays = true, vacationWeeks = [] } = calendar;
+    const start = new Date(`${startDate}T00:00:00Z`);
+    if (isNaN(start)) {
+        throw new Error(`"${startDate}" is not a valid start date.`);
+    }
+
+    const closedDays = new Set(holidays);
+    if (usHolidays) {
+        const lastYear = start.getUTCFullYear() + Math.ceil(months / 12) + 1;
+        for (let year = start.getUTCFullYear(); year <= lastYear; year++) {
+            usMarketHolidays(year).forEach((day) => closedDays.add(day));
+        }
+    }
+    const weeksOff = new Set(vacationWeeks);
+
+    const tradingMonths = [];
+    for (let i = 0; i < months; i++) {
+        const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + i) / 12);
+        const month = (start.getUTCMonth() + i) % 12;
+        const firstDay = i === 0 ? start.getUTCDate() : 1;
+        const lastDay = utcDate(year, month + 1, 0).getUTCDate();
+
+        let tradingDays = 0;
+        for (let day = firstDay; day <= lastDay; day++) {
+            const date = utcDate(year, month, day);
+            const weekday = date.getUTCDay();
+            if (weekday === 0 || weekday === 6) continue;
+            if (closedDays.has(isoDate(date))) continue;
+            if (weeksOff.has(isoWeekNumber(date))) continue;
+            tradingDays++;
+        }
+        tradingMonths.push({ label: `${MONTH_NAMES[month]} ${year}`, month, tradingDays });
+    }
+    return tradingMonths;
+}
+
+/**
+ * Parses a comma or line separated list of ISO dates (YYYY-MM-DD).
+ * Throws an Error naming the first entry that is not a valid date.
+ */
+export function parseDateList(text) {
+    return text
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((entry) => {
+            const date = new Date(`${entry}T00:00:00Z`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(entry) || isNaN(date)) {
+                throw new Error(`"${entry}" is not a date in YYYY-MM-DD form.`);
+            }
+            return entry;
+        });
+}
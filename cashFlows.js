@@ -0,0 +1,46 @@
+/**
+ * Parses one-off cash flows typed as "month: amount" pairs separated by commas
+ * or new lines, e.g. "6: 5000, 12: -10000". Positive amounts are injections,
+ * negative amounts are withdrawals. Throws an Error naming the first bad entry.
+ */
+export function parseOneOffCashFlows(text) {
+    return text
+        .split(/[,\n]+/)
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [monthText, amountText] = entry.split(":").map((part) => part.trim());
+            const month = Number(monthText);
+            const amount = parseFloat((amountText || "").replace(/[$\s]/g, ""));
+            if (!Number.isInteger(month) || month < 1 || !Number.isFinite(amount)) {
+                throw new Error(`"${entry}" is not a cash flow in "month: amount" form.`);
+            }
+            return { month, amount };
+        });
+}
+
+/**
+ * Works out the cash flows of one month (monthNumber starts at 1):
+ * { deposit, oneOff, expenses }, all positive except withdrawals in oneOff.
+ *
+ * cashFlows holds { monthlyDeposit, oneOffs, expenseInflation, expensesEnd }.
+ * Expenses run from expensesBegin (0 disables them) through expensesEnd
+ * (0 for no end), and rise by expenseInflation once every 12 months of the
+ * timeline.
+ */
+export function monthlyCashFlows(cashFlows, monthlyExpenses, expensesBegin, monthNumber) {
+    const { monthlyDeposit = 0, oneOffs = [], expenseInflation = 0, expensesEnd = 0 } = cashFlows;
+
+    const expensesActive = expensesBegin > 0
+        && monthNumber >= expensesBegin
+        && (expensesEnd <= 0 || monthNumber <= expensesEnd);
+    const inflationFactor = Math.pow(1 + expenseInflation, Math.floor((monthNumber - 1) / 12));
+
+    return {
+        deposit: monthlyDeposit,
+        oneOff: oneOffs
+            .filter((flow) => flow.month === monthNumber)
+            .reduce((sum, flow) => sum + flow.amount, 0),
+        expenses: expensesActive ? monthlyExpenses * inflationFactor : 0
+    };
+}
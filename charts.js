@@ -0,0 +1,203 @@
+// Distinct stroke colors for series drawn on the same chart.
+export const SERIES_COLORS = ["#1f77b4", "#d62728", "#2ca02c", "#9467bd", "#ff7f0e", "#17becf", "#8c564b", "#e377c2"];
+
+/**
+ * Escapes text for use inside HTML or SVG markup.
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Splits weighted { value, count } points into bucketCount equal-width buckets
+ * from min to max and returns the share of the total weight in each. Values
+ * outside the range are counted in the first or last bucket.
+ */
+export function histogramShares(points, min, max, bucketCount) {
+    const shares = new Array(bucketCount).fill(0);
+    const total = points.reduce((sum, point) => sum + point.count, 0);
+    if (total === 0) {
+        return shares;
+    }
+    const width = (max - min) / bucketCount;
+    for (const point of points) {
+        const index = width > 0 ? Math.floor((point.value - min) / width) : 0;
+        shares[Math.max(0, Math.min(bucketCount - 1, index))] += point.count / total;
+    }
+    return shares;
+}
+
+/**
+ * Draws several distributions over the same buckets as one SVG chart, one
+ * outlined, lightly filled step curve per series, with a legend on top.
+ *
+ * series is [{ name, points }] with points as weighted { value, count }.
+ * options holds { min, max, bucketCount, width, height, formatValue }; min and
+ * max default to the extremes of all the series. Returns the SVG markup.
+ */
+export function overlaidHistogramSvg(series, options = {}) {
+    const allValues = series.flatMap((entry) => entry.points.map((point) => point.value));
+    const {
+        min = Math.min(...allValues),
+        max = Math.max(...allValues),
+        bucketCount = 30,
+        width = 600,
+        height = 240,
+        formatValue = String
+    } = options;
+
+    const legendHeight = 20 * Math.ceil(series.length / 3);
+    const axisHeight = 20;
+    const plotTop = legendHeight + 5;
+    const plotBottom = height - axisHeight;
+    const allShares = series.map((entry) => histogramShares(entry.points, min, max, bucketCount));
+    const highestShare = Math.max(...allShares.flat(), 1e-9);
+    const x = (bucket) => (bucket / bucketCount) * width;
+    const y = (share) => plotBottom - (share / highestShare) * (plotBottom - plotTop);
+
+    const curves = allShares.map((shares, i) => {
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        const steps = shares
+            .map((share, bucket) => `L ${x(bucket).toFixed(1)} ${y(share).toFixed(1)} L ${x(bucket + 1).toFixed(1)} ${y(share).toFixed(1)}`)
+            .join(" ");
+        return `<path d="M 0 ${plotBottom} ${steps} L ${width} ${plotBottom} Z" fill="${color}" fill-opacity="0.15" stroke="${color}" stroke-width="2"/>`;
+    });
+    const legend = series.map((entry, i) => {
+        const left = (i % 3) * (width / 3);
+        const top = Math.floor(i / 3) * 20;
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        return `<rect x="${left}" y="${top + 4}" width="12" height="12" fill="${color}"/>`
+            + `<text x="${left + 16}" y="${top + 14}" font-size="12">${escapeHtml(entry.name)}</text>`;
+    });
+    const axisLabels = [
+        { at: 0, anchor: "start", value: min },
+        { at: width / 2, anchor: "middle", value: (min + max) / 2 },
+        { at: width, anchor: "end", value: max }
+    ].map((label) => `<text x="${label.at}" y="${height - 4}" font-size="12" text-anchor="${label.anchor}">${escapeHtml(formatValue(label.value))}</text>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">`
+        + legend.join("")
+        + curves.join("")
+        + `<line x1="0" y1="${plotBottom}" x2="${width}" y2="${plotBottom}" stroke="#555"/>`
+        + axisLabels.join("")
+        + "</svg>";
+}
+
+/**
+ * Draws a fan chart of balances over time: shaded bands between matching
+ * outer percentiles (5th-95th, then 25th-75th) and a line through the middle
+ * one, with optional single-run paths drawn on top.
+ *
+ * rows is [{ month, values }], values ordered like options.percentiles.
+ * options holds { percentiles, paths, width, height, formatValue }, where
+ * paths is [{ name, values }] with one balance per row. Returns the SVG markup.
+ */
+export function fanChartSvg(rows, options = {}) {
+    const {
+        percentiles = [5, 25, 50, 75, 95],
+        paths = [],
+        width = 600,
+        height = 260,
+        formatValue = String
+    } = options;
+
+    const allValues = [...rows.flatMap((row) => row.values), ...paths.flatMap((path) => path.values)];
+    const low = Math.min(...allValues);
+    const high = Math.max(...allValues);
+    const span = high > low ? high - low : 1;
+    const plotLeft = 80;
+    const plotTop = 25;
+    const plotBottom = height - 20;
+    const lastMonth = rows.length > 1 ? rows[rows.length - 1].month : 1;
+    const x = (month) => plotLeft + (month / lastMonth) * (width - plotLeft);
+    const y = (value) => plotBottom - ((value - low) / span) * (plotBottom - plotTop);
+    const point = (month, value) => `${x(month).toFixed(1)},${y(value).toFixed(1)}`;
+    const fanColor = SERIES_COLORS[0];
+
+    const bandCount = Math.floor(percentiles.length / 2);
+    const bands = Array.from({ length: bandCount }, (_, i) => {
+        const upper = rows.map((row) => point(row.month, row.values[percentiles.length - 1 - i]));
+        const lower = rows.map((row) => point(row.month, row.values[i])).reverse();
+        const opacity = (0.2 + (0.25 * i) / Math.max(1, bandCount - 1)).toFixed(2);
+        return `<polygon points="${[...upper, ...lower].join(" ")}" fill="${fanColor}" fill-opacity="${opacity}"/>`;
+    });
+    const middleLine = percentiles.length % 2 === 1
+        ? `<polyline points="${rows.map((row) => point(row.month, row.values[bandCount])).join(" ")}" fill="none" stroke="${fanColor}" stroke-width="2"/>`
+        : "";
+    const pathLines = paths.map((path, i) => {
+        const color = SERIES_COLORS[(i + 1) % SERIES_COLORS.length];
+        const points = path.values.map((value, index) => point(rows[index].month, value));
+        return `<polyline points="${points.join(" ")}" fill="none" stroke="${color}" stroke-width="2" stroke-dasharray="6 3"/>`;
+    });
+
+    const legendEntries = [
+        ...Array.from({ length: bandCount }, (_, i) => ({
+            text: `${percentiles[i]}th-${percentiles[percentiles.length - 1 - i]}th percentile`,
+            color: fanColor
+        })),
+        ...(middleLine ? [{ text: percentiles[bandCount] === 50 ? "Median" : `${percentiles[bandCount]}th percentile`, color: fanColor }] : []),
+        ...paths.map((path, i) => ({ text: path.name, color: SERIES_COLORS[(i + 1) % SERIES_COLORS.length] }))
+    ];
+    const legend = legendEntries.map((entry, i) => {
+        const left = plotLeft + i * ((width - plotLeft) / legendEntries.length);
+        return `<rect x="${left.toFixed(1)}" y="4" width="12" height="12" fill="${entry.color}"/>`
+            + `<text x="${(left + 16).toFixed(1)}" y="14" font-size="11">${escapeHtml(entry.text)}</text>`;
+    });
+    const valueLabels = [high, (high + low) / 2, low].map((value) =>
+        `<text x="${plotLeft - 4}" y="${(y(value) + 4).toFixed(1)}" font-size="11" text-anchor="end">${escapeHtml(formatValue(value))}</text>`
+    );
+    const monthLabels = [...new Set([0, Math.round(lastMonth / 2), lastMonth])].map((month) =>
+        `<text x="${x(month).toFixed(1)}" y="${height - 4}" font-size="11" text-anchor="middle">Month ${month}</text>`
+    );
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">`
+        + legend.join("")
+        + bands.join("")
+        + middleLine
+        + pathLines.join("")
+        + `<line x1="${plotLeft}" y1="${plotBottom}" x2="${width}" y2="${plotBottom}" stroke="#555"/>`
+        + `<line x1="${plotLeft}" y1="${plotTop}" x2="${plotLeft}" y2="${plotBottom}" stroke="#555"/>`
+        + valueLabels.join("")
+        + monthLabels.join("")
+        + "</svg>";
+}
+
+/**
+ * Draws a bar chart as SVG, one bar per entry of bars in order, scaled to the
+ * tallest bar. Each bar is [{ value, color, tooltip, drillable }]: the tooltip
+ * shows on hover, and drillable bars get the "drillable" class and a
+ * data-index attribute so the caller can open them on click.
+ *
+ * options holds { width, height, startLabel, endLabel } with the labels
+ * written under the first and last bar. Returns the SVG markup.
+ */
+export function barChartSvg(bars, options = {}) {
+    const { width = 600, height = 220, startLabel = "", endLabel = "" } = options;
+    const plotTop = 10;
+    const plotBottom = height - 20;
+    const highest = Math.max(...bars.map((bar) => bar.value), 1e-9);
+    const slot = width / Math.max(1, bars.length);
+    const gap = Math.min(4, slot * 0.1);
+
+    const rects = bars.map((bar, i) => {
+        const barHeight = (bar.value / highest) * (plotBottom - plotTop);
+        const attributes = bar.drillable
+            ? ` class="drillable" data-index="${i}" style="cursor: pointer;"`
+            : ` data-index="${i}"`;
+        return `<rect x="${(i * slot + gap / 2).toFixed(1)}" y="${(plotBottom - barHeight).toFixed(1)}" `
+            + `width="${(slot - gap).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${bar.color}"${attributes}>`
+            + `<title>${escapeHtml(bar.tooltip)}</title></rect>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">`
+        + rects.join("")
+        + `<line x1="0" y1="${plotBottom}" x2="${width}" y2="${plotBottom}" stroke="#555"/>`
+        + `<text x="0" y="${height - 4}" font-size="12">${escapeHtml(startLabel)}</text>`
+        + `<text x="${width}" y="${height - 4}" font-size="12" text-anchor="end">${escapeHtml(endLabel)}</text>`
+        + "</svg>";
+}
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+import { readFileSync, realpathSync } from "fs";
+import { fileURLToPath } from "url";
+import { runMonteCarlo, runMonteCarloAggregate, generateSeed } from "./main.js";
+import { summarizeResults, outcomeBuckets, SUMMARY_STATISTICS } from "./analytics.js";
+import { toJson, summaryRecords, outcomeBucketRecords } from "./export.js";
+import { validateFeeModel } from "./fees.js";
+import { validateOutcomeModel, outcomeModelOutcomes } from "./outcomes.js";
+import { validateRegimeModel } from "./regimes.js";
+import { optimalFraction, tradeOutcomes } from "./sizing.js";
+import { buildTradingMonths, parseDateList } from "./calendar.js";
+import { validateFormValues } from "./validation.js";
+import { parseTradeLog } from "./tradeLog.js";
+
+/**
+ * The parameters of an empty web form, so the same inputs give the same
+ * results on the page and on the command line. Rates are fractions.
+ */
+export const DEFAULT_PARAMS = {
+    startingBalance: 25000,
+    riskPerTrade: 0.02,
+    tradesPerWeek: 5,
+    winRate: 0.5,
+    riskToReward: 2,
+    expensesBegin: 0,
+    totalMonthlyExpenses: 4000,
+    simulationTimeline: 12,
+    simulationRuns: 100000,
+    myFeePercentage: 0.03,
+    ruinBalance: 0,
+    ruinDrawdown: 0,
+    monthlyLossLimit: 0,
+    lossStreakLimit: 0,
+    lossStreakRiskFactor: 0.5,
+    statisticsMode: "full",
+    randomTradeCount: false,
+    sizing: { model: "fixed-fractional" },
+    cashFlows: { monthlyDeposit: 0, oneOffs: [], expenseInflation: 0, expensesEnd: 0 },
+    feeModel: {}
+};
+
+// Parameters that are not on every form but can be given in a config or flag.
+const OPTIONAL_PARAMS = ["seed", "regimeModel", "outcomeModel", "tradeLog", "withdrawalPolicy", "taxPolicy", "tradingMonths"];
+
+// Settings that buildParams turns into params, like the matching form inputs.
+const INPUT_SETTINGS = ["bootstrapBlockSize", "tradeCount", "startDate", "vacationWeeks", "extraHolidays", "marketHolidays"];
+
+// Short flags for the most common parameters.
+const FLAG_ALIASES = { runs: "simulationRuns", months: "simulationTimeline" };
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+const USAGE = `Usage: node cli.js [--config params.json] [--param-name value ...] [--format table|json]
+
+Runs the Monte Carlo simulation and prints the summary statistics,
+percentiles and outcome buckets shown on the web page.
+
+  --config <file>      JSON object of simulation parameters (the params of
+                       the web page, rates as fractions: 0.55 for 55%)
+  --trade-log <file>   CSV or JSON trade log to bootstrap trades from
+  --runs <n>           Number of runs (simulationRuns)
+  --months <n>         Timeline in months (simulationTimeline)
+  --seed <n>           Seed, to replay the same results
+  --format <format>    "table" (default) or "json"
+  --trade-count <model>
+                       "fixed" (default) trades per week, or "poisson" for a
+                       random number of trades around it
+  --start-date <date>  Simulate calendar months from this YYYY-MM-DD date,
+                       trading only on market days
+  --market-holidays <h>
+                       "us" (default) to skip US market holidays, or "none"
+  --extra-holidays <dates>
+                       Comma separated YYYY-MM-DD days off
+  --vacation-weeks <weeks>
+                       Comma separated ISO week numbers off every year
+  --<param-name> <v>   Any other parameter, e.g. --win-rate 0.55 or
+                       --sizing '{"model":"kelly"}'; values are read as JSON
+                       when they parse, otherwise as text
+  --help               Show this message`;
+
+const camelCase = (flag) => flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// Flag values are JSON when they parse (numbers, booleans, objects) and text otherwise.
+function parseFlagValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Reads command line arguments into options ({ config, tradeLog, format,
+ * help }) and parameter overrides. Accepts "--name value" and "--name=value".
+ * Throws an Error for a flag without a value or an unknown parameter.
+ */
+export function parseArguments(args) {
+    const options = { format: "table", help: false };
+    const overrides = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--help" || arg === "-h") {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith("--")) {
+            throw new Error(`Unexpected argument "${arg}".`);
+        }
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        if (value === undefined) {
+            value = args[++i];
+            if (value === undefined) {
+                throw new Error(`--${name} needs a value.`);
+            }
+        }
+        if (name === "config" || name === "format") {
+            options[name] = value;
+        } else if (name === "trade-log") {
+            options.tradeLog = value;
+        } else {
+            const key = FLAG_ALIASES[name] || camelCase(name);
+            if (!(key in DEFAULT_PARAMS) && !OPTIONAL_PARAMS.includes(key) && !INPUT_SETTINGS.includes(key)) {
+                throw new Error(`Unknown parameter --${name}.`);
+            }
+            overrides[key] = parseFlagValue(value);
+        }
+    }
+    if (options.format !== "table" && options.format !== "json") {
+        throw new Error(`Unknown format "${options.format}"; use "table" or "json".`);
+    }
+    return { options, overrides };
+}
+
+// A list given as text ("27, 52"), a single value or a JSON array, as text.
+const listText = (value) => [].concat(value).join(",");
+
+// The calendar months of the time model, as the web page builds them.
+function buildCalendar({ startDate, vacationWeeks = [], extraHolidays = [], marketHolidays = "us" }, months) {
+    const weeks = listText(vacationWeeks).split(/[\s,]+/).filter(Boolean).map(Number);
+    if (weeks.some((week) => !Number.isInteger(week) || week < 1 || week > 53)) {
+        throw new Error("Vacation weeks must be week numbers from 1 to 53.");
+    }
+    if (marketHolidays !== "us" && marketHolidays !== "none") {
+        throw new Error('marketHolidays must be "us" or "none".');
+    }
+    return buildTradingMonths(
+        {
+            startDate: String(startDate),
+            holidays: parseDateList(listText(extraHolidays)),
+            usHolidays: marketHolidays === "us",
+            vacationWeeks: weeks
+        },
+        months
+    );
+}
+
+// Inputs typed as percentages on the web page but given as fractions here.
+const RATE_INPUTS = [
+    "win-rate",
+    "ruin-drawdown",
+    "monthly-loss-limit",
+    "estimated-fee-percent",
+    "account-balance-risked-percent",
+    "kelly-multiplier",
+    "expense-inflation",
+    "withdrawal-percent",
+    "tax-rate"
+];
+
+// Params as the web form's inputs would hold them, for validation.js: rates
+// as percentages, and nothing typed where params leave a setting unset.
+function formValues(params) {
+    const typed = (value) => (value === undefined || value === Infinity ? "" : String(value));
+    const percent = (fraction) => (typeof fraction === "number" ? Number((fraction * 100).toPrecision(12)) : fraction);
+    const { sizing, cashFlows, feeModel, withdrawalPolicy = {}, taxPolicy = {} } = params;
+    const values = {
+        "simulation-runs": params.simulationRuns,
+        timeline: params.simulationTimeline,
+        "account-balance": params.startingBalance,
+        "trades-per-week": params.tradesPerWeek,
+        "win-rate": percent(params.winRate),
+        "risk-to-reward": params.riskToReward,
+        "ruin-balance": params.ruinBalance,
+        "ruin-drawdown": percent(params.ruinDrawdown),
+        "monthly-loss-limit": percent(params.monthlyLossLimit),
+        "loss-streak-limit": params.lossStreakLimit,
+        "loss-streak-risk-factor": params.lossStreakRiskFactor,
+        "regime-model": params.regimeModel?.type ?? "none",
+        "outcome-source": params.tradeLog ? "trade-log" : params.outcomeModel?.type ?? "fixed",
+        "outcome-table": params.outcomeModel?.outcomes
+            ?.map(({ probability, rMultiple }) => `${probability}, ${rMultiple}`)
+            .join("\n"),
+        "bootstrap-block-size": params.tradeLog?.blockSize,
+        "estimated-fee-percent": percent(params.myFeePercentage),
+        "commission-per-trade": feeModel.commissionPerTrade,
+        "cost-per-unit": feeModel.costPerUnit,
+        "risk-per-unit": feeModel.riskPerUnit,
+        "slippage-r": feeModel.slippageR,
+        "slippage-ticks": feeModel.slippageTicks,
+        "tick-value": feeModel.tickValue,
+        "spread-per-unit": feeModel.spreadPerUnit,
+        "account-balance-risked-percent": percent(params.riskPerTrade),
+        "sizing-model": sizing.model,
+        "fixed-risk": sizing.fixedRisk,
+        "min-risk": sizing.minRisk,
+        "max-risk": sizing.maxRisk,
+        "kelly-multiplier": percent(sizing.kellyMultiplier),
+        "step-up-factor": sizing.stepUpFactor,
+        "max-step-ups": sizing.maxStepUps,
+        "total-monthly-expenses": params.totalMonthlyExpenses,
+        "expenses-begin-month": params.expensesBegin,
+        "expenses-end-month": cashFlows.expensesEnd,
+        "expense-inflation": percent(cashFlows.expenseInflation),
+        "monthly-deposit": cashFlows.monthlyDeposit,
+        "withdrawal-policy": withdrawalPolicy.type ?? "none",
+        "withdrawal-percent": percent(withdrawalPolicy.percent),
+        salary: withdrawalPolicy.amount,
+        "salary-minimum-balance": withdrawalPolicy.minimumBalance,
+        "tax-schedule": taxPolicy.schedule ?? "none",
+        "tax-rate": percent(taxPolicy.rate),
+        seed: params.seed
+    };
+    return Object.fromEntries(Object.entries(values).map(([id, value]) => [id, typed(value)]));
+}
+
+/**
+ * Checks params against the web page's input rules. Returns { errors,
+ * warnings } as validateFormValues does, keyed by the form's input ids.
+ */
+export function validateParams(params) {
+    return validateFormValues(formValues(params));
+}
+
+/**
+ * Merges the defaults, a config object and flag overrides into simulation
+ * params and checks them. Nested settings (sizing, cash flows, fees) are
+ * merged one level deep. A trade log's R-multiples become params.tradeLog,
+ * bootstrapped in blocks of bootstrapBlockSize trades. tradeCount ("fixed"
+ * or "poisson") and a calendar startDate, with its marketHolidays,
+ * extraHolidays and vacationWeeks, set the time model as on the web page.
+ *
+ * Throws an Error with the same messages as the web page for unusable params.
+ */
+export function buildParams(config = {}, overrides = {}, tradeLogRMultiples = null) {
+    const {
+        bootstrapBlockSize = 1,
+        tradeCount,
+        startDate,
+        vacationWeeks,
+        extraHolidays,
+        marketHolidays,
+        ...settings
+    } = { ...config, ...overrides };
+    const params = { ...DEFAULT_PARAMS, ...settings };
+    for (const key of ["sizing", "cashFlows", "feeModel"]) {
+        params[key] = { ...DEFAULT_PARAMS[key], ...settings[key] };
+    }
+    if (params.sizing.fixedRisk === undefined) {
+        params.sizing.fixedRisk = params.startingBalance * params.riskPerTrade;
+    }
+    params.seed = params.seed ?? generateSeed();
+    if (tradeLogRMultiples) {
+        params.tradeLog = { rMultiples: tradeLogRMultiples, blockSize: bootstrapBlockSize };
+    }
+    if (tradeCount !== undefined) {
+        if (tradeCount !== "fixed" && tradeCount !== "poisson") {
+            throw new Error('tradeCount must be "fixed" or "poisson".');
+        }
+        params.randomTradeCount = tradeCount === "poisson";
+    }
+
+    const numbers = Object.keys(DEFAULT_PARAMS).filter((key) => typeof DEFAULT_PARAMS[key] === "number");
+    const invalid = numbers.find((key) => !Number.isFinite(params[key]));
+    if (invalid) {
+        throw new Error(`${invalid} must be a number.`);
+    }
+    const { errors } = validateParams(params);
+    if (Object.keys(errors).length > 0) {
+        const rateHint = Object.keys(errors).some((id) => RATE_INPUTS.includes(id))
+            ? " Rates are fractions on the command line: 0.55 for 55%."
+            : "";
+        throw new Error(Object.values(errors).join(" ") + rateHint);
+    }
+    if (params.statisticsMode !== "full" && params.statisticsMode !== "streaming") {
+        throw new Error('statisticsMode must be "full" or "streaming".');
+    }
+    const modelError = validateFeeModel(params.feeModel)
+        || (params.outcomeModel && validateOutcomeModel(params.outcomeModel))
+        || (params.regimeModel && validateRegimeModel(params.regimeModel));
+    if (modelError) {
+        throw new Error(modelError);
+    }
+
+    if (startDate !== undefined) {
+        params.tradingMonths = buildCalendar(
+            { startDate, vacationWeeks, extraHolidays, marketHolidays },
+            params.simulationTimeline
+        );
+    }
+    // Optimal f, and the Kelly fraction of a trade log or outcome model, only
+    // depend on the trade outcomes, so they are found once here.
+    const outcomes = () => params.outcomeModel
+        ? outcomeModelOutcomes(params.outcomeModel)
+        : tradeOutcomes(params.winRate, params.riskToReward, params.tradeLog && params.tradeLog.rMultiples);
+    if (params.sizing.model === "optimal-f" && params.sizing.optimalFraction === undefined) {
+        params.sizing.optimalFraction = optimalFraction(outcomes());
+    }
+    if (
+        params.sizing.model === "kelly"
+        && (params.tradeLog || params.outcomeModel)
+        && params.sizing.fullKelly === undefined
+    ) {
+        params.sizing.fullKelly = optimalFraction(outcomes());
+    }
+    return params;
+}
+
+/**
+ * Runs the simulation for params and returns the summary, outcome buckets
+ * and final balance and max drawdown percentiles, as the web page shows them.
+ */
+export function simulate(params) {
+    const simulateRuns = params.statisticsMode === "streaming" ? runMonteCarloAggregate : runMonteCarlo;
+    const summary = summarizeResults(simulateRuns(params, params.simulationRuns), params);
+    return {
+        params,
+        summary,
+        buckets: outcomeBuckets(summary, params),
+        percentiles: PERCENTILES.map((percentile) => ({
+            percentile,
+            finalBalance: summary.balanceAtQuantile(percentile / 100),
+            maxDrawdown: summary.drawdowns.maxDrawdownAt(percentile / 100)
+        }))
+    };
+}
+
+const formatCurrency = (value) => value.toLocaleString("en-US", { style: "currency", currency: "USD" });
+const formatPercent = (fraction, digits = 2) => `${(fraction * 100).toFixed(digits)}%`;
+const formatRoi = (fraction) =>
+    `${(fraction * 100).toLocaleString("en-US", { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`;
+const ordinal = (percentile) => (percentile === 50 ? "Median" : `${percentile}th`);
+
+// Lines up rows of cells, left-aligning the first column and right-aligning the rest.
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    return rows
+        .map((row) => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join("  "))
+        .map((line) => `  ${line.trimEnd()}`)
+        .join("\n");
+}
+
+const describeTimeline = ({ simulationTimeline, tradingMonths }) =>
+    tradingMonths
+        ? `${simulationTimeline} calendar months (${tradingMonths[0].label} to ${tradingMonths[tradingMonths.length - 1].label})`
+        : `${simulationTimeline} months`;
+
+/**
+ * Writes a simulation report as aligned text tables, or as JSON with the same
+ * records as the web page's exports (rates as fractions, non-finite numbers
+ * as null).
+ */
+export function formatReport(report, format = "table") {
+    const { params, summary, buckets, percentiles } = report;
+    if (format === "json") {
+        return toJson({
+            parameters: params,
+            summary: summaryRecords(summary),
+            percentiles,
+            outcomeBuckets: outcomeBucketRecords(buckets, summary.totalRuns)
+        }) + "\n";
+    }
+
+    const sections = [
+        `Monte Carlo Simulation: ${summary.totalRuns.toLocaleString()} runs over ${describeTimeline(params)}, seed ${params.seed}`,
+        "Summary Statistics\n" + formatTable(SUMMARY_STATISTICS.map((row) => {
+            const value = row.value(summary);
+            return [row.label, row.format === "percent" ? formatPercent(value) : formatCurrency(value)];
+        })),
+        "Percentiles\n" + formatTable([
+            ["Percentile", "Final Balance", "Max Drawdown"],
+            ...percentiles.map((row) => [ordinal(row.percentile), formatCurrency(row.finalBalance), formatPercent(row.maxDrawdown, 1)])
+        ])
+    ];
+    const filled = buckets.filter((bucket) => bucket.count > 0);
+    sections.push(filled.length === 0
+        ? "Outcome Distribution\n  Too few runs, or too little spread, to bucket."
+        : "Outcome Distribution\n" + formatTable([
+            ["Final Balance", "Runs", "Share", "Annualized ROI"],
+            ...filled.map((bucket) => [
+                bucket.isOutlierBucket
+                    ? `${formatCurrency(bucket.min)}+`
+                    : `${formatCurrency(bucket.min)} - ${formatCurrency(bucket.max)}`,
+                bucket.count.toLocaleString(),
+                `${bucket.percentage.toFixed(2)}%`,
+                formatRoi(bucket.roi.min) === formatRoi(bucket.roi.max)
+                    ? formatRoi(bucket.roi.min)
+                    : `${formatRoi(bucket.roi.min)} to ${formatRoi(bucket.roi.max)}`
+            ])
+        ]));
+    return sections.join("\n\n") + "\n";
+}
+
+function main(args) {
+    try {
+        const { options, overrides } = parseArguments(args);
+        if (options.help) {
+            process.stdout.write(`${USAGE}\n`);
+            return;
+        }
+        const config = options.config ? JSON.parse(readFileSync(options.config, "utf8")) : {};
+        const tradeLog = options.tradeLog ? parseTradeLog(readFileSync(options.tradeLog, "utf8")) : null;
+        const params = buildParams(config, overrides, tradeLog);
+        for (const warning of Object.values(validateParams(params).warnings)) {
+            process.stderr.write(`Warning: ${warning}\n`);
+        }
+        process.stdout.write(formatReport(simulate(params), options.format));
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+// Only run when started from the command line, not when imported by tests.
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
+}
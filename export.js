@@ -0,0 +1,142 @@
+import { escapeHtml } from "./charts.js";
+import { SUMMARY_STATISTICS } from "./analytics.js";
+
+// JSON has no Infinity or NaN (an uncapped maxRisk is Infinity), so they become null.
+const finiteOrNull = (key, value) =>
+    typeof value === "number" && !Number.isFinite(value) ? null : value;
+
+/**
+ * Serializes results as indented JSON, writing non-finite numbers as null.
+ */
+export function toJson(value) {
+    return JSON.stringify(value, finiteOrNull, 2);
+}
+
+// Columns in the order their keys first appear across the records.
+const recordColumns = (records) => [...new Set(records.flatMap((record) => Object.keys(record)))];
+
+// Missing values and non-finite numbers are written as empty cells.
+const cellText = (value) =>
+    value === null || value === undefined || (typeof value === "number" && !Number.isFinite(value))
+        ? ""
+        : String(value);
+
+function csvCell(value) {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes flat records as CSV with a header row. A record missing a column,
+ * or holding a non-finite number, leaves that cell empty.
+ */
+export function toCsv(records) {
+    const columns = recordColumns(records);
+    const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+    return lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Lists the run count and SUMMARY_STATISTICS of a summary as
+ * { statistic, value } records, rates as fractions and balances in dollars.
+ */
+export function summaryRecords(summary) {
+    return [
+        { statistic: "Runs", value: summary.totalRuns },
+        ...SUMMARY_STATISTICS.map((row) => ({ statistic: row.label, value: row.value(summary) }))
+    ];
+}
+
+/**
+ * Lists the non-empty outcome buckets with their share of the runs and
+ * annualized return range, all as plain numbers.
+ */
+export function outcomeBucketRecords(buckets, totalRuns) {
+    return buckets
+        .filter((bucket) => bucket.count > 0)
+        .map((bucket) => ({
+            from: bucket.min,
+            to: bucket.max,
+            runs: bucket.count,
+            share: bucket.count / totalRuns,
+            minAnnualizedRoi: bucket.roi.min,
+            maxAnnualizedRoi: bucket.roi.max
+        }));
+}
+
+/**
+ * Flattens a run's monthly breakdown into one record per month, with the
+ * same columns as the on-page breakdown.
+ */
+export function monthlyBreakdownRecords(monthlyData) {
+    return monthlyData.map((month, index) => ({
+        month: month.label || `Month ${index + 1}`,
+        trades: month.trades,
+        regime: month.regime,
+        grossProfit: month.grossProfit,
+        fees: month.fees,
+        expenses: month.expensesDeducted,
+        deposit: month.deposit,
+        oneOff: month.oneOff,
+        taxes: month.taxes,
+        withdrawal: month.withdrawal,
+        netProfit: month.netProfit,
+        endBalance: month.endBalance,
+        lossLimitHit: Boolean(month.lossLimitHit),
+        ruined: Boolean(month.ruined)
+    }));
+}
+
+/**
+ * Lists every run's final balance, lowest first. In streaming mode a point
+ * stands for `count` runs and keeps the seed of one of them.
+ */
+export function finalBalanceRecords(balancePoints) {
+    return balancePoints
+        .map((point) => ({ finalBalance: point.finalBalance, runs: point.count ?? 1, seed: point.seed }))
+        .sort((a, b) => a.finalBalance - b.finalBalance);
+}
+
+const REPORT_STYLE = `
+body { font-family: sans-serif; max-width: 960px; margin: 2em auto; color: #222; }
+h1 { font-size: 1.5em; } h2 { font-size: 1.2em; margin-top: 2em; }
+table { border-collapse: collapse; margin: 0.5em 0; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+td.number { text-align: right; }
+.chart { margin: 1em 0; }`;
+
+function reportTable(records) {
+    const columns = recordColumns(records);
+    const head = columns.map((column) => `<th>${escapeHtml(column)}</th>`).join("");
+    const rows = records.map((record) => {
+        const cells = columns.map((column) => {
+            const value = record[column];
+            const className = typeof value === "number" ? ' class="number"' : "";
+            return `<td${className}>${escapeHtml(cellText(value))}</td>`;
+        });
+        return `<tr>${cells.join("")}</tr>`;
+    });
+    return `<table><thead><tr>${head}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+/**
+ * Builds a self-contained HTML page from report sections, with the styles and
+ * SVG charts inlined so the file can be attached and opened anywhere.
+ *
+ * sections is [{ heading, svg, records }], each part optional: svg is chart
+ * markup and records are flat objects shown as a table.
+ */
+export function htmlReport({ title, subtitle = "", sections }) {
+    const body = sections.map((section) =>
+        `<h2>${escapeHtml(section.heading)}</h2>`
+        + (section.svg ? `<div class="chart">${section.svg}</div>` : "")
+        + (section.records && section.records.length > 0 ? reportTable(section.records) : "")
+    );
+    return "<!DOCTYPE html>\n"
+        + `<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`
+        + `<style>${REPORT_STYLE}</style></head><body>`
+        + `<h1>${escapeHtml(title)}</h1>`
+        + (subtitle ? `<p>${escapeHtml(subtitle)}</p>` : "")
+        + body.join("\n")
+        + "</body></html>\n";
+}
@@ -0,0 +1,84 @@
+/**
+ * Creates the function calculateMonthlyProfit uses to price each trade's
+ * costs: (amountRisked) => dollars paid in fees.
+ *
+ * Every part of the fee model is optional and they add together:
+ * - feeAsPercentageOfRisk: the original flat fee, as a fraction of the risk.
+ * - commissionPerTrade: a fixed commission for the whole trade.
+ * - costPerUnit: a per-share or per-contract cost, charged on entry and exit.
+ * - slippageR: slippage across the whole trade, in R.
+ * - slippageTicks / tickValue: slippage in ticks on entry and exit, at the
+ *   dollar value of one tick per share or contract.
+ * - spreadPerUnit: the bid/ask spread per share or contract, paid once per trade.
+ *
+ * Per-unit costs need riskPerUnit, the dollars risked per share or contract
+ * (stop distance times point value), to turn the dollar risk into a position
+ * size. A trade that risks nothing is not taken, so it costs nothing.
+ */
+export function createFeeCalculator(feeModel = {}) {
+    const {
+        feeAsPercentageOfRisk = 0,
+        commissionPerTrade = 0,
+        costPerUnit = 0,
+        slippageR = 0,
+        slippageTicks = 0,
+        tickValue = 0,
+        spreadPerUnit = 0,
+        riskPerUnit = 0
+    } = feeModel;
+    const costPerUnitTraded = riskPerUnit > 0
+        ? (2 * costPerUnit + 2 * slippageTicks * tickValue + spreadPerUnit) / riskPerUnit
+        : 0;
+
+    return function calculateFees(amountRisked) {
+        if (amountRisked <= 0) {
+            return 0;
+        }
+        return commissionPerTrade + amountRisked * (feeAsPercentageOfRisk + slippageR + costPerUnitTraded);
+    };
+}
+
+/**
+ * Checks a fee model and returns an error message, or null when it is usable.
+ */
+export function validateFeeModel(feeModel) {
+    const costs = ["commissionPerTrade", "costPerUnit", "slippageR", "slippageTicks", "tickValue", "spreadPerUnit"];
+    if (costs.some((key) => feeModel[key] < 0)) {
+        return "Fees, slippage and spread cannot be negative.";
+    }
+    const usesUnits = feeModel.costPerUnit > 0 || feeModel.slippageTicks > 0 || feeModel.spreadPerUnit > 0;
+    if (usesUnits && !(feeModel.riskPerUnit > 0)) {
+        return "Per-share, tick and spread costs need the dollar risk per share or contract.";
+    }
+    if (feeModel.slippageTicks > 0 && !(feeModel.tickValue > 0)) {
+        return "Slippage in ticks needs the dollar value of one tick.";
+    }
+    return null;
+}
+
+/**
+ * Describes the parts of a fee model that are in use, for the results summary.
+ */
+export function describeFeeModel(feeModel) {
+    const dollars = (value) => `$${value.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+    const parts = [];
+    if (feeModel.feeAsPercentageOfRisk > 0) {
+        parts.push(`${(feeModel.feeAsPercentageOfRisk * 100).toFixed(1)}% of risk`);
+    }
+    if (feeModel.commissionPerTrade > 0) {
+        parts.push(`${dollars(feeModel.commissionPerTrade)} commission per trade`);
+    }
+    if (feeModel.costPerUnit > 0) {
+        parts.push(`${dollars(feeModel.costPerUnit)} per share/contract per side`);
+    }
+    if (feeModel.slippageR > 0) {
+        parts.push(`${feeModel.slippageR}R slippage`);
+    }
+    if (feeModel.slippageTicks > 0) {
+        parts.push(`${feeModel.slippageTicks} ticks slippage per side at ${dollars(feeModel.tickValue)}/tick`);
+    }
+    if (feeModel.spreadPerUnit > 0) {
+        parts.push(`${dollars(feeModel.spreadPerUnit)} spread`);
+    }
+    return parts.length > 0 ? parts.join(", ") : "no fees";
+}
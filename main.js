@@ -1,5 +1,35 @@
+import { createRandom, deriveRunSeed, generateSeed, samplePoisson } from "./random.js";
+import { createRegimeSequence, countRegimeMonths } from "./regimes.js";
+import { createBootstrapSampler } from "./tradeLog.js";
+import { createRunAggregate, addRunToAggregate } from "./statistics.js";
+import { createPositionSizer, optimalFraction, tradeOutcomes } from "./sizing.js";
+import { createFeeCalculator } from "./fees.js";
+import { createOutcomeSampler, outcomeModelOutcomes } from "./outcomes.js";
+import { monthlyCashFlows } from "./cashFlows.js";
+import { createTaxAccount } from "./taxes.js";
+
+export { createRandom, deriveRunSeed, generateSeed };
+
 /**
  * Calculates the estimated monthly profit from a trading strategy with fees.
+ * Pass options.random (e.g. from createRandom) to make the trades reproducible.
+ * Pass options.sampleTrade to draw each trade's R-multiple from a distribution
+ * instead of a fixed win at the R:R or a -1R loss.
+ * Pass options.sizePosition (see createPositionSizer) to size trades with a
+ * model other than riskPercentage of the current balance.
+ * Pass options.tradeCount to set how many trades are taken this month instead
+ * of tradesPerWeek * 4.
+ * Pass options.calculateFees (see createFeeCalculator) to price each trade with
+ * a full fee model instead of feeAsPercentageOfRisk. The fees paid during the
+ * month are left in state.monthlyFees.
+ *
+ * Trading stops for the month once the balance reaches options.floorBalance
+ * (0 by default). Optional circuit breakers:
+ * - options.monthlyLossLimit: stop for the rest of the month after losing this
+ *   fraction of the month's starting balance (sets state.monthlyLossLimitHit).
+ * - options.lossStreakLimit / options.lossStreakRiskFactor: multiply the risk
+ *   by the factor once this many losses in a row have been taken.
+ * options.state carries the win and loss streaks from one month to the next.
  */
 export function calculateMonthlyProfit(
     accountBalance,
@@ -7,29 +37,111 @@ export function calculateMonthlyProfit(
     tradesPerWeek,
     winPercentage,
     riskToRewardRatio,
-    feeAsPercentageOfRisk
+    feeAsPercentageOfRisk,
+    options = {}
 ) {
-    const tradesPerMonth = tradesPerWeek * 4;
+    const {
+        random = Math.random,
+        sampleTrade,
+        tradeCount,
+        sizePosition,
+        calculateFees,
+        floorBalance = 0,
+        monthlyLossLimit = 0,
+        lossStreakLimit = 0,
+        lossStreakRiskFactor = 1,
+        state = {}
+    } = options;
+    const tradesPerMonth = tradeCount ?? tradesPerWeek * 4;
     let currentBalance = accountBalance;
+    state.consecutiveLosses = state.consecutiveLosses ?? 0;
+    state.consecutiveWins = state.consecutiveWins ?? 0;
+    state.monthlyLossLimitHit = false;
+    state.monthlyFees = 0;
+    state.monthlyLow = accountBalance;
 
     for (let i = 0; i < tradesPerMonth; i++) {
-        if (currentBalance <= 0) {
+        if (currentBalance <= floorBalance) {
+            break;
+        }
+        if (monthlyLossLimit > 0 && accountBalance - currentBalance >= accountBalance * monthlyLossLimit) {
+            state.monthlyLossLimitHit = true;
             break;
         }
-        const amountRisked = currentBalance * riskPercentage;
-        if (Math.random() < winPercentage) {
-            const profit = (amountRisked * riskToRewardRatio) - (amountRisked * feeAsPercentageOfRisk);
+
+        let amountRisked = sizePosition
+            ? sizePosition(currentBalance, { winRate: winPercentage, riskToReward: riskToRewardRatio, state })
+            : currentBalance * riskPercentage;
+        if (lossStreakLimit > 0 && state.consecutiveLosses >= lossStreakLimit) {
+            amountRisked *= lossStreakRiskFactor;
+        }
+        const fees = calculateFees ? calculateFees(amountRisked) : amountRisked * feeAsPercentageOfRisk;
+        state.monthlyFees += fees;
+        let isWin;
+        let isLoss;
+        if (sampleTrade) {
+            const rMultiple = sampleTrade();
+            isWin = rMultiple > 0;
+            isLoss = rMultiple < 0;
+            currentBalance += (amountRisked * rMultiple) - fees;
+        } else if (random() < winPercentage) {
+            isWin = true;
+            isLoss = false;
+            const profit = (amountRisked * riskToRewardRatio) - fees;
             currentBalance += profit;
         } else {
-            const loss = amountRisked + (amountRisked * feeAsPercentageOfRisk);
+            isWin = false;
+            isLoss = true;
+            const loss = amountRisked + fees;
             currentBalance -= loss;
         }
+        state.consecutiveLosses = isLoss ? state.consecutiveLosses + 1 : 0;
+        state.consecutiveWins = isWin ? state.consecutiveWins + 1 : 0;
+        state.monthlyLow = Math.min(state.monthlyLow, currentBalance);
     }
     return currentBalance - accountBalance;
 }
 
 /**
  * Simulates one "lifetime" scenario of trading over a given timeline.
+ * With options.regimeModel, each month trades at the win rate and R:R of the
+ * active market regime, and the regime name is recorded on the month.
+ * With options.tradeLog ({ rMultiples, blockSize }), trades are bootstrapped
+ * from the imported R-multiples instead, and with options.outcomeModel they
+ * are drawn from an outcome table or distribution (see outcomes.js).
+ * options.sizing selects the position sizing model (see sizing.js); optimal f
+ * is worked out from the trade outcomes when it is not already given.
+ * options.feeModel adds commissions, per-unit costs, slippage and spread (see
+ * fees.js) on top of myFeePercentage. Each month records the fees it paid;
+ * grossProfit is the trading profit after those fees.
+ *
+ * options.tradingMonths (see buildTradingMonths in calendar.js) switches to
+ * calendar months: each month takes tradesPerWeek / 5 trades per trading day,
+ * and records its label and trading days. With options.randomTradeCount the
+ * number of trades each month is Poisson-distributed around that mean (the
+ * sum of a Poisson count per week).
+ *
+ * options.cashFlows adds recurring deposits, one-off injections or
+ * withdrawals, yearly expense inflation and an end month for expenses (see
+ * monthlyCashFlows). Each month records its deposit and one-off flow next to
+ * the expenses; netProfit stays trading profit minus expenses.
+ *
+ * options.taxPolicy ({ rate, schedule }, see createTaxAccount) pays tax on
+ * the trading gains quarterly or annually, carrying losses forward; the tax is
+ * recorded on the month it is paid. Calendar months align the tax periods to
+ * the calendar, and the last month of the timeline settles the open period.
+ * options.withdrawalPolicy takes money out of the account after each month
+ * (recorded as the month's withdrawal, see withdrawForMonth).
+ *
+ * The run is ruined, and stops, once the balance reaches the ruin level:
+ * options.ruinBalance (0 by default) or a drop of options.ruinDrawdown from the
+ * highest month-end balance, whichever is higher. That month is marked ruined.
+ *
+ * Each month also records lowBalance, the lowest the account went during the
+ * month's trades, and its point on the trading equity curve for trading-only
+ * drawdowns: tradingEquity compounds the monthly trading returns from the
+ * starting balance with the cash flows left out, and tradingLow is the lowest
+ * it went during the month's trades.
  */
 export function accumulateProfits(
     startingBalance,
@@ -40,83 +152,340 @@ export function accumulateProfits(
     monthlyExpenses,
     expensesBegin,
     simulationTimeline,
-    myFeePercentage
+    myFeePercentage,
+    options = {}
 ) {
+    const {
+        random = Math.random,
+        regimeModel,
+        tradeLog,
+        outcomeModel,
+        sizing,
+        feeModel,
+        tradingMonths,
+        randomTradeCount = false,
+        cashFlows = {},
+        withdrawalPolicy,
+        taxPolicy,
+        ruinBalance = 0,
+        ruinDrawdown = 0
+    } = options;
+    const nextRegime = regimeModel ? createRegimeSequence(regimeModel, random) : null;
+    const tradingState = { consecutiveLosses: 0, consecutiveWins: 0 };
+    const monthOptions = { ...options, state: tradingState };
+    if (tradeLog) {
+        monthOptions.sampleTrade = createBootstrapSampler(tradeLog.rMultiples, tradeLog.blockSize, random);
+    } else if (outcomeModel) {
+        monthOptions.sampleTrade = createOutcomeSampler(outcomeModel, random);
+    }
+    if (sizing) {
+        const outcomes = () => outcomeModel && !tradeLog
+            ? outcomeModelOutcomes(outcomeModel)
+            : tradeOutcomes(winPercentage, riskToRewardRatio, tradeLog && tradeLog.rMultiples);
+        const resolvedSizing = { ...sizing };
+        if (sizing.model === "optimal-f" && sizing.optimalFraction === undefined) {
+            resolvedSizing.optimalFraction = optimalFraction(outcomes());
+        }
+        // Drawn trades do not follow the win rate and R:R inputs, so Kelly
+        // sizes from their outcomes instead.
+        if (sizing.model === "kelly" && (tradeLog || outcomeModel) && sizing.fullKelly === undefined) {
+            resolvedSizing.fullKelly = optimalFraction(outcomes());
+        }
+        monthOptions.sizePosition = createPositionSizer(resolvedSizing, riskPercentage);
+    }
+    if (feeModel) {
+        monthOptions.calculateFees = createFeeCalculator({ ...feeModel, feeAsPercentageOfRisk: myFeePercentage });
+    }
     let currentBalance = startingBalance;
+    let peakBalance = startingBalance;
+    let tradingEquity = startingBalance;
+    const withdrawalState = { highWaterMark: startingBalance };
+    const taxForMonth = taxPolicy
+        ? createTaxAccount(taxPolicy, tradingMonths ? tradingMonths[0].month : 0)
+        : () => 0;
     const resultsArray = [];
 
     for (let i = 0; i < simulationTimeline; i++) {
+        const regime = nextRegime ? nextRegime() : null;
+        const ruinLevel = Math.max(
+            ruinBalance,
+            ruinDrawdown > 0 ? peakBalance * (1 - ruinDrawdown) : -Infinity
+        );
+        monthOptions.floorBalance = ruinLevel;
+        const tradingMonth = tradingMonths ? tradingMonths[i] : null;
+        if (tradingMonth || randomTradeCount) {
+            const expectedTrades = tradingMonth
+                ? (tradingMonth.tradingDays * tradesPerWeek) / 5
+                : tradesPerWeek * 4;
+            monthOptions.tradeCount = randomTradeCount
+                ? samplePoisson(expectedTrades, random)
+                : Math.round(expectedTrades);
+        }
+        const monthStartBalance = currentBalance;
         const grossMonthlyProfit = calculateMonthlyProfit(
             currentBalance,
             riskPercentage,
             tradesPerWeek,
-            winPercentage,
-            riskToRewardRatio,
-            myFeePercentage
+            regime ? regime.winRate : winPercentage,
+            regime ? regime.riskToReward : riskToRewardRatio,
+            myFeePercentage,
+            monthOptions
         );
 
-        let netMonthlyProfit;
-        if (expensesBegin > 0 && i + 1 >= expensesBegin) {
-            netMonthlyProfit = grossMonthlyProfit - monthlyExpenses;
-        } else {
-            netMonthlyProfit = grossMonthlyProfit;
-        }
+        const flows = monthlyCashFlows(cashFlows, monthlyExpenses, expensesBegin, i + 1);
+        const netMonthlyProfit = grossMonthlyProfit - flows.expenses;
+        currentBalance += netMonthlyProfit + flows.deposit + flows.oneOff;
+        const taxes = taxForMonth(grossMonthlyProfit, i === simulationTimeline - 1);
+        currentBalance -= taxes;
+        const withdrawal = withdrawalPolicy
+            ? withdrawForMonth(
+                withdrawalPolicy,
+                netMonthlyProfit,
+                currentBalance,
+                withdrawalState,
+                flows.deposit + flows.oneOff
+            )
+            : 0;
+        currentBalance -= withdrawal;
 
-        const expensesDeducted = grossMonthlyProfit - netMonthlyProfit;
-        currentBalance += netMonthlyProfit;
+        const tradingReturn = (balance) =>
+            monthStartBalance > 0 ? (balance - monthStartBalance) / monthStartBalance : 0;
+        const tradingLow = tradingEquity * (1 + tradingReturn(tradingState.monthlyLow));
+        tradingEquity *= 1 + tradingReturn(monthStartBalance + grossMonthlyProfit);
 
-        resultsArray.push({
+        const monthResult = {
             grossProfit: grossMonthlyProfit,
-            expensesDeducted: expensesDeducted,
+            fees: tradingState.monthlyFees,
+            deposit: flows.deposit,
+            oneOff: flows.oneOff,
+            taxes,
+            withdrawal,
+            expensesDeducted: flows.expenses,
             netProfit: netMonthlyProfit,
-            endBalance: currentBalance
-        });
+            endBalance: currentBalance,
+            lowBalance: tradingState.monthlyLow,
+            tradingEquity,
+            tradingLow
+        };
+        if (tradingMonth) {
+            monthResult.label = tradingMonth.label;
+            monthResult.tradingDays = tradingMonth.tradingDays;
+        }
+        if (randomTradeCount) {
+            monthResult.trades = monthOptions.tradeCount;
+        }
+        if (regime) {
+            monthResult.regime = regime.name;
+        }
+        if (tradingState.monthlyLossLimitHit) {
+            monthResult.lossLimitHit = true;
+        }
+        peakBalance = Math.max(peakBalance, currentBalance);
+        const isRuined = currentBalance <= ruinLevel;
+        if (isRuined) {
+            monthResult.ruined = true;
+        }
+        resultsArray.push(monthResult);
 
-        if (currentBalance <= 0) {
+        if (isRuined) {
             break;
         }
     }
     return resultsArray;
 }
 
+/**
+ * Works out how much a withdrawal policy takes out at the end of a month,
+ * given the month's net profit, the balance after its cash flows and the
+ * month's contributions (deposits plus one-off flows).
+ *
+ * - "percent-of-profit": percent of the net profit, in profitable months.
+ * - "high-water-mark": percent of the balance above the highest balance left
+ *   after any earlier withdrawal (state.highWaterMark). The mark moves with
+ *   the contributions first, so deposited money is never paid out as profit.
+ * - "salary": a fixed amount, skipped in losing months and never taking the
+ *   balance below minimumBalance.
+ */
+export function withdrawForMonth(policy, netProfit, balance, state, contributions = 0) {
+    const { type, percent = 1, amount = 0, minimumBalance = 0 } = policy;
+    let withdrawal = 0;
+
+    if (type === "percent-of-profit") {
+        withdrawal = netProfit > 0 ? netProfit * percent : 0;
+    } else if (type === "high-water-mark") {
+        state.highWaterMark += contributions;
+        withdrawal = balance > state.highWaterMark ? (balance - state.highWaterMark) * percent : 0;
+        state.highWaterMark = Math.max(state.highWaterMark, balance - withdrawal);
+    } else if (type === "salary") {
+        withdrawal = netProfit >= 0 ? Math.max(0, Math.min(amount, balance - minimumBalance)) : 0;
+    }
+    return withdrawal;
+}
 
 /**
- * Runs the accumulateProfits simulation multiple times.
+ * Measures the drawdowns of one run from the account balance each month ended
+ * on (endBalance) and the lowest its trades took it to (lowBalance). Returns
+ * the deepest peak-to-trough drop (as a fraction, capped at 1), the longest
+ * stretch of months that ended below a previous peak, and how many months it
+ * took to climb from the month of the deepest trough back to its peak (null
+ * if it never did).
+ *
+ * With options.trading the trading equity curve is measured instead
+ * (tradingEquity and tradingLow), which leaves deposits, expenses, taxes and
+ * withdrawals out.
  */
-export function runMonteCarlo(params, simulationRuns) {
-    const allRunsResults = [];
+export function measureDrawdowns(monthlyData, startingBalance, options = {}) {
+    const { trading = false } = options;
+    let peak = startingBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPeak = startingBalance;
+    let maxDrawdownMonth = -1;
+    let recoveryMonths = null;
+    let currentDrawdownMonths = 0;
+    let longestDrawdownMonths = 0;
 
-    for (let i = 0; i < simulationRuns; i++) {
-        const singleRunResult = accumulateProfits(
-            params.startingBalance,
-            params.riskPerTrade,
-            params.tradesPerWeek,
-            params.winRate,
-            params.riskToReward,
-            params.totalMonthlyExpenses,
-            params.expensesBegin,
-            params.simulationTimeline,
-            params.myFeePercentage
-        );
+    monthlyData.forEach((month, index) => {
+        const balance = trading ? month.tradingEquity : month.endBalance;
+        const low = Math.min(balance, (trading ? month.tradingLow : month.lowBalance) ?? balance);
+        if (low < peak) {
+            const drawdown = peak > 0 ? Math.min(1, (peak - low) / peak) : 1;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+                maxDrawdownPeak = peak;
+                maxDrawdownMonth = index;
+                recoveryMonths = null;
+            }
+        }
+        if (balance >= peak) {
+            if (maxDrawdownMonth >= 0 && recoveryMonths === null && peak === maxDrawdownPeak) {
+                recoveryMonths = index - maxDrawdownMonth;
+            }
+            peak = balance;
+            currentDrawdownMonths = 0;
+            return;
+        }
 
-        const finalMonth = singleRunResult.length > 0 ? singleRunResult[singleRunResult.length - 1] : null;
+        currentDrawdownMonths++;
+        longestDrawdownMonths = Math.max(longestDrawdownMonths, currentDrawdownMonths);
+    });
 
-        if (finalMonth) {
-            const didSurvive = finalMonth.endBalance > 0;
+    return { maxDrawdown, longestDrawdownMonths, recoveryMonths };
+}
 
-            allRunsResults.push({
-                finalBalance: finalMonth.endBalance,
-                survived: didSurvive,
-                monthlyData: singleRunResult
-            });
-        } else {
-            allRunsResults.push({
-                finalBalance: 0,
-                survived: false,
-                monthlyData: []
-            });
+/**
+ * Simulates a single run of the Monte Carlo batch from its run seed.
+ * Calling it again with the same params and seed replays the run exactly.
+ * Besides the final balance and drawdowns (with tradingMaxDrawdown, the max
+ * drawdown of the trading alone), the result totals the run's fees,
+ * taxes, its net contributions (deposits plus one-off injections and withdrawals)
+ * and the money taken out by the withdrawal policy.
+ */
+export function simulateRun(params, runSeed) {
+    const singleRunResult = accumulateProfits(
+        params.startingBalance,
+        params.riskPerTrade,
+        params.tradesPerWeek,
+        params.winRate,
+        params.riskToReward,
+        params.totalMonthlyExpenses,
+        params.expensesBegin,
+        params.simulationTimeline,
+        params.myFeePercentage,
+        {
+            random: createRandom(runSeed),
+            regimeModel: params.regimeModel,
+            tradeLog: params.tradeLog,
+            outcomeModel: params.outcomeModel,
+            sizing: params.sizing,
+            feeModel: params.feeModel,
+            tradingMonths: params.tradingMonths,
+            randomTradeCount: params.randomTradeCount,
+            cashFlows: params.cashFlows,
+            withdrawalPolicy: params.withdrawalPolicy,
+            taxPolicy: params.taxPolicy,
+            ruinBalance: params.ruinBalance,
+            ruinDrawdown: params.ruinDrawdown,
+            monthlyLossLimit: params.monthlyLossLimit,
+            lossStreakLimit: params.lossStreakLimit,
+            lossStreakRiskFactor: params.lossStreakRiskFactor
         }
+    );
+
+    const finalMonth = singleRunResult.length > 0 ? singleRunResult[singleRunResult.length - 1] : null;
+    let runResult;
+
+    if (finalMonth) {
+        const didSurvive = !finalMonth.ruined;
+
+        runResult = {
+            finalBalance: finalMonth.endBalance,
+            survived: didSurvive,
+            ruined: !didSurvive,
+            seed: runSeed,
+            monthlyData: singleRunResult
+        };
+    } else {
+        runResult = {
+            finalBalance: 0,
+            survived: false,
+            ruined: true,
+            seed: runSeed,
+            monthlyData: []
+        };
     }
 
+    runResult.totalFees = singleRunResult.reduce((sum, month) => sum + month.fees, 0);
+    runResult.netContributions = singleRunResult.reduce((sum, month) => sum + month.deposit + month.oneOff, 0);
+    runResult.totalWithdrawn = singleRunResult.reduce((sum, month) => sum + month.withdrawal, 0);
+    runResult.totalTaxes = singleRunResult.reduce((sum, month) => sum + month.taxes, 0);
+    Object.assign(runResult, measureDrawdowns(singleRunResult, params.startingBalance));
+    runResult.tradingMaxDrawdown = measureDrawdowns(
+        singleRunResult,
+        params.startingBalance,
+        { trading: true }
+    ).maxDrawdown;
+
+    if (params.regimeModel) {
+        runResult.regimeMonths = countRegimeMonths(singleRunResult);
+    }
+    return runResult;
+}
+
+/**
+ * Runs the accumulateProfits simulation multiple times.
+ * Each run is seeded from params.seed, so the same seed replays the same results.
+ *
+ * options.firstRun offsets the run numbering so a batch can be split across
+ * workers and still produce the same runs as a single pass. options.onProgress
+ * is called with the number of completed runs about every 1% of the batch.
+ */
+export function runMonteCarlo(params, simulationRuns, options = {}) {
+    const allRunsResults = [];
+    forEachRun(params, simulationRuns, options, (runResult) => allRunsResults.push(runResult));
     return allRunsResults;
-}
\ No newline at end of file
+}
+
+/**
+ * Streaming version of runMonteCarlo: folds every run into a running aggregate
+ * (see statistics.js) and then drops it, so memory stays flat as the run count
+ * grows. Representative runs can be replayed from the seeds the aggregate keeps.
+ */
+export function runMonteCarloAggregate(params, simulationRuns, options = {}) {
+    const aggregate = createRunAggregate(params.startingBalance, params.simulationTimeline);
+    forEachRun(params, simulationRuns, options, (runResult) => addRunToAggregate(aggregate, runResult));
+    return aggregate;
+}
+
+function forEachRun(params, simulationRuns, options, handleRun) {
+    const { firstRun = 0, onProgress } = options;
+    const seed = params.seed ?? generateSeed();
+    const progressInterval = Math.max(1, Math.floor(simulationRuns / 100));
+
+    for (let i = 0; i < simulationRuns; i++) {
+        handleRun(simulateRun(params, deriveRunSeed(seed, firstRun + i)));
+
+        if (onProgress && ((i + 1) % progressInterval === 0 || i + 1 === simulationRuns)) {
+            onProgress(i + 1);
+        }
+    }
+}
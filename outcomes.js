@@ -0,0 +1,133 @@
+import { sampleIndex, sampleNormal } from "./random.js";
+
+/**
+ * The outcome table equivalent to the plain win rate and R:R inputs: a win at
+ * the R:R or a -1R loss.
+ */
+export function presetOutcomeTable(winRate, riskToReward) {
+    return {
+        type: "table",
+        outcomes: [
+            { probability: winRate, rMultiple: riskToReward },
+            { probability: 1 - winRate, rMultiple: -1 }
+        ]
+    };
+}
+
+/**
+ * Parses an outcome table typed one outcome per line as "probability, R",
+ * e.g. "40%, 2" or "0.4, 2". Throws an Error describing the first bad line.
+ */
+export function parseOutcomeTable(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+    if (lines.length === 0) {
+        throw new Error("The outcome table is empty.");
+    }
+
+    const outcomes = lines.map((line, index) => {
+        const [probabilityText, rText] = line.split(",").map((cell) => cell.trim());
+        const probability = probabilityText && probabilityText.endsWith("%")
+            ? parseFloat(probabilityText) / 100
+            : parseFloat(probabilityText);
+        const rMultiple = parseFloat(rText);
+        if (!Number.isFinite(probability) || !Number.isFinite(rMultiple)) {
+            throw new Error(`Line ${index + 1} of the outcome table needs a probability and an R-multiple.`);
+        }
+        return { probability, rMultiple };
+    });
+    return { type: "table", outcomes };
+}
+
+/**
+ * Checks an outcome model and returns an error message, or null when it is usable.
+ */
+export function validateOutcomeModel(model) {
+    if (model.type === "table") {
+        if (!Array.isArray(model.outcomes) || model.outcomes.length === 0) {
+            return "The outcome table needs at least one outcome.";
+        }
+        if (model.outcomes.some((outcome) => !(outcome.probability >= 0))) {
+            return "Outcome probabilities cannot be negative.";
+        }
+        const total = model.outcomes.reduce((sum, outcome) => sum + outcome.probability, 0);
+        if (Math.abs(total - 1) > 1e-6) {
+            return `Outcome probabilities must add up to 100% (they add up to ${(total * 100).toFixed(2)}%).`;
+        }
+        return null;
+    }
+    if (model.type === "parametric") {
+        if (!(model.winRate >= 0 && model.winRate <= 1)) {
+            return "The outcome distribution needs a win rate between 0% and 100%.";
+        }
+        if (!(model.winMeanR > 0) || !(model.lossMeanR > 0)) {
+            return "The average winner and average loser must both be greater than 0R.";
+        }
+        if (!(model.winStdDevR >= 0) || !(model.lossStdDevR >= 0)) {
+            return "Outcome standard deviations cannot be negative.";
+        }
+        return null;
+    }
+    return `Unknown outcome model "${model.type}".`;
+}
+
+// Lognormal draw with the given mean and standard deviation (fixed when it is 0).
+function sampleLognormal(mean, stdDev, random) {
+    if (stdDev === 0) {
+        return mean;
+    }
+    const sigmaSquared = Math.log(1 + (stdDev * stdDev) / (mean * mean));
+    const mu = Math.log(mean) - sigmaSquared / 2;
+    return Math.exp(mu + Math.sqrt(sigmaSquared) * sampleNormal(random));
+}
+
+/**
+ * Creates a sampler that draws each trade's R-multiple from an outcome model,
+ * for use as calculateMonthlyProfit's options.sampleTrade.
+ *
+ * "table" models pick one of the listed outcomes by its probability.
+ * "parametric" models win at winRate; winners and the size of losers are
+ * lognormal with the given mean and standard deviation in R, so scratches,
+ * partial wins and gap losses beyond -1R all show up.
+ */
+export function createOutcomeSampler(model, random) {
+    if (model.type === "parametric") {
+        const { winRate, winMeanR, winStdDevR, lossMeanR, lossStdDevR } = model;
+        return function sampleTrade() {
+            return random() < winRate
+                ? sampleLognormal(winMeanR, winStdDevR, random)
+                : -sampleLognormal(lossMeanR, lossStdDevR, random);
+        };
+    }
+
+    const probabilities = model.outcomes.map((outcome) => outcome.probability);
+    return function sampleTrade() {
+        return model.outcomes[sampleIndex(probabilities, random)].rMultiple;
+    };
+}
+
+/**
+ * Lists an outcome model as [{ rMultiple, probability }] for position sizing.
+ * Parametric models are reduced to their average winner and average loser.
+ */
+export function outcomeModelOutcomes(model) {
+    if (model.type === "parametric") {
+        return [
+            { rMultiple: model.winMeanR, probability: model.winRate },
+            { rMultiple: -model.lossMeanR, probability: 1 - model.winRate }
+        ];
+    }
+    return model.outcomes.map(({ rMultiple, probability }) => ({ rMultiple, probability }));
+}
+
+/**
+ * Summarizes an outcome model for display: win rate and expectancy per trade in R.
+ */
+export function summarizeOutcomeModel(model) {
+    const outcomes = outcomeModelOutcomes(model);
+    return {
+        winRate: outcomes
+            .filter((outcome) => outcome.rMultiple > 0)
+            .reduce((sum, outcome) => sum + outcome.probability, 0),
+        expectancyR: outcomes.reduce((sum, outcome) => sum + outcome.probability * outcome.rMultiple, 0)
+    };
+}
@@ -0,0 +1,121 @@
+// --- Shareable URL State ---
+
+/**
+ * Encodes form values (keyed by input id) as a URL query string. Empty values
+ * are left out to keep links short.
+ */
+export function encodeFormState(values) {
+    const query = new URLSearchParams();
+    for (const [id, value] of Object.entries(values)) {
+        if (value !== "" && value !== null && value !== undefined) {
+            query.set(id, String(value));
+        }
+    }
+    return query.toString();
+}
+
+/**
+ * Reads form values back from a query string, keeping only the given field
+ * ids so stray or outdated query parameters are ignored.
+ */
+export function decodeFormState(search, fieldIds) {
+    const query = new URLSearchParams(search);
+    return Object.fromEntries(fieldIds.filter((id) => query.has(id)).map((id) => [id, query.get(id)]));
+}
+
+// --- Named Presets ---
+const PRESETS_KEY = "tradeSimulatorPresets";
+const PRESETS_VERSION = 1;
+
+// Presets must map names to objects of form values; values are kept as text.
+function normalizePresets(presets) {
+    if (!presets || typeof presets !== "object" || Array.isArray(presets)) {
+        throw new Error("Presets must be an object of named form values.");
+    }
+    return Object.fromEntries(Object.entries(presets).map(([name, values]) => {
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+            throw new Error(`Preset "${name}" has no form values.`);
+        }
+        return [name, Object.fromEntries(Object.entries(values).map(([id, value]) => [id, String(value)]))];
+    }));
+}
+
+/**
+ * Creates a library of named presets, each a snapshot of form values, kept
+ * in storage (localStorage in the browser, any getItem/setItem object in
+ * tests). Every change is written straight back to storage.
+ *
+ * Saving under an existing name replaces that preset. Renaming or removing a
+ * missing preset, renaming onto a taken name and importing malformed JSON
+ * throw an Error with a message for the user.
+ */
+export function createPresetStore(storage, key = PRESETS_KEY) {
+    const read = () => {
+        try {
+            return normalizePresets(JSON.parse(storage.getItem(key)) ?? {});
+        } catch {
+            // Unreadable storage starts an empty library rather than breaking the page.
+            return {};
+        }
+    };
+    const write = (presets) => storage.setItem(key, JSON.stringify(presets));
+    const requireName = (name) => {
+        const trimmed = String(name ?? "").trim();
+        if (!trimmed) {
+            throw new Error("A preset needs a name.");
+        }
+        return trimmed;
+    };
+    // Own names only, so "constructor" or "__proto__" are preset names like any other.
+    const hasPreset = (presets, name) => Object.hasOwn(presets, name);
+    const requirePreset = (presets, name) => {
+        if (!hasPreset(presets, name)) {
+            throw new Error(`There is no preset named "${name}".`);
+        }
+    };
+
+    return {
+        list: () => Object.keys(read()).sort((a, b) => a.localeCompare(b)),
+        get: (name) => {
+            const presets = read();
+            requirePreset(presets, name);
+            return presets[name];
+        },
+        save: (name, values) => {
+            const presets = read();
+            const presetName = requireName(name);
+            write({ ...presets, ...normalizePresets({ [presetName]: values }) });
+            return presetName;
+        },
+        rename: (name, newName) => {
+            const presets = read();
+            requirePreset(presets, name);
+            const renamed = requireName(newName);
+            if (renamed !== name && hasPreset(presets, renamed)) {
+                throw new Error(`A preset named "${renamed}" already exists.`);
+            }
+            const { [name]: values, ...others } = presets;
+            write({ ...others, [renamed]: values });
+            return renamed;
+        },
+        remove: (name) => {
+            const presets = read();
+            requirePreset(presets, name);
+            delete presets[name];
+            write(presets);
+        },
+        exportJson: () => JSON.stringify({ version: PRESETS_VERSION, presets: read() }, null, 2),
+        // Merges presets from exportJson's format; same-named presets are replaced.
+        importJson: (text) => {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch {
+                throw new Error("The presets file is not valid JSON.");
+            }
+            const imported = normalizePresets(parsed?.presets);
+            write({ ...read(), ...imported });
+            return Object.keys(imported);
+        }
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * Returns a function that, like Math.random, yields numbers in [0, 1).
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derives the seed of a single run from the simulation seed, so any run can be
+ * replayed on its own without re-running the ones before it.
+ */
+export function deriveRunSeed(seed, runIndex) {
+    let hash = (seed ^ Math.imul(runIndex + 1, 0x9E3779B1)) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Picks a new random 32-bit seed for when the user does not supply one.
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Draws a standard normal value (Box-Muller) from a uniform random function.
+ */
+export function sampleNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Picks an index from a list of probabilities that sum to 1.
+ */
+export function sampleIndex(probabilities, random) {
+    const draw = random();
+    let cumulative = 0;
+    for (let i = 0; i < probabilities.length; i++) {
+        cumulative += probabilities[i];
+        if (draw < cumulative) {
+            return i;
+        }
+    }
+    return probabilities.length - 1;
+}
+
+/**
+ * Draws a Poisson-distributed count with the given mean. Large means use the
+ * normal approximation, which is accurate there and avoids underflow.
+ */
+export function samplePoisson(mean, random) {
+    if (mean <= 0) {
+        return 0;
+    }
+    if (mean > 30) {
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * sampleNormal(random)));
+    }
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+        count++;
+        product *= random();
+    }
+    return count;
+}
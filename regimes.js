@@ -0,0 +1,121 @@
+import { sampleIndex, sampleNormal } from "./random.js";
+
+/**
+ * Month-to-month transition probabilities for the default regimes.
+ * Row = current regime, column = next regime (Trending, Ranging, Choppy).
+ */
+export const DEFAULT_TRANSITIONS = [
+    [0.7, 0.2, 0.1],
+    [0.2, 0.6, 0.2],
+    [0.15, 0.35, 0.5]
+];
+
+/**
+ * Builds the Trending / Ranging / Choppy regimes around the strategy's base
+ * win rate and R:R, so the preset scales with whatever the user enters.
+ */
+export function createDefaultRegimes(winRate, riskToReward) {
+    const clampWinRate = (value) => Math.min(1, Math.max(0, value));
+    return [
+        { name: "Trending", winRate: clampWinRate(winRate + 0.1), riskToReward: riskToReward * 1.25 },
+        { name: "Ranging", winRate: clampWinRate(winRate), riskToReward: riskToReward },
+        { name: "Choppy", winRate: clampWinRate(winRate - 0.1), riskToReward: riskToReward * 0.75 }
+    ];
+}
+
+/**
+ * Checks a regime model and returns an error message, or null when it is usable.
+ */
+export function validateRegimeModel(model) {
+    if (model.type === "markov") {
+        const { regimes, transitions } = model;
+        if (!Array.isArray(regimes) || regimes.length === 0) {
+            return "Regime model needs at least one regime.";
+        }
+        for (const regime of regimes) {
+            if (typeof regime.name !== "string" || !regime.name) {
+                return "Every regime needs a name.";
+            }
+            if (!(regime.winRate >= 0 && regime.winRate <= 1)) {
+                return `Regime "${regime.name}" needs a win rate between 0% and 100%.`;
+            }
+            if (!(regime.riskToReward > 0)) {
+                return `Regime "${regime.name}" needs a positive R:R.`;
+            }
+        }
+        if (!Array.isArray(transitions) || transitions.length !== regimes.length) {
+            return "The transition matrix needs one row per regime.";
+        }
+        for (const row of transitions) {
+            if (!Array.isArray(row) || row.length !== regimes.length || row.some((p) => !(p >= 0))) {
+                return "Every transition row needs one non-negative probability per regime.";
+            }
+            const rowTotal = row.reduce((sum, p) => sum + p, 0);
+            if (Math.abs(rowTotal - 1) > 1e-6) {
+                return "Every transition row must add up to 100%.";
+            }
+        }
+        return null;
+    }
+    if (model.type === "drift") {
+        if (!(model.lowWinRate >= 0 && model.peakWinRate <= 1 && model.lowWinRate <= model.peakWinRate)) {
+            return "Drift model needs 0% <= low win rate <= peak win rate <= 100%.";
+        }
+        if (!(model.riskToReward > 0)) {
+            return "Drift model needs a positive R:R.";
+        }
+        return null;
+    }
+    return `Unknown regime model "${model.type}".`;
+}
+
+/**
+ * Creates a generator that yields the market regime for each successive month
+ * of a run: { name, winRate, riskToReward }.
+ *
+ * "markov" models hop between named regimes using the transition matrix.
+ * "drift" models let the win rate mean-revert between the low and peak win
+ * rates, labelling each month Low, Neutral or Peak by where the rate sits.
+ */
+export function createRegimeSequence(model, random) {
+    if (model.type === "drift") {
+        const { lowWinRate, peakWinRate, riskToReward } = model;
+        const reversion = model.reversion ?? 0.3;
+        const volatility = model.volatility ?? 0.25;
+        const range = peakWinRate - lowWinRate;
+        const midpoint = lowWinRate + range / 2;
+        let winRate = midpoint;
+
+        return function nextMonth() {
+            const label = winRate < lowWinRate + range / 3
+                ? "Low"
+                : winRate > peakWinRate - range / 3 ? "Peak" : "Neutral";
+            const regime = { name: label, winRate, riskToReward };
+
+            const shock = volatility * range * sampleNormal(random);
+            winRate += reversion * (midpoint - winRate) + shock;
+            winRate = Math.min(peakWinRate, Math.max(lowWinRate, winRate));
+            return regime;
+        };
+    }
+
+    const { regimes, transitions } = model;
+    let index = Math.floor(random() * regimes.length);
+
+    return function nextMonth() {
+        const regime = regimes[index];
+        index = sampleIndex(transitions[index], random);
+        return regime;
+    };
+}
+
+/**
+ * Counts how many months of a run were spent in each regime.
+ */
+export function countRegimeMonths(monthlyData) {
+    const regimeMonths = {};
+    for (const month of monthlyData) {
+        regimeMonths[month.regime] = (regimeMonths[month.regime] || 0) + 1;
+    }
+    return regimeMonths;
+}
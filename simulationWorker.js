@@ -0,0 +1,19 @@
+import { runMonteCarlo, runMonteCarloAggregate } from "./main.js";
+
+/**
+ * Runs one slice of a Monte Carlo batch off the main thread.
+ * Receives { params, firstRun, runCount } and posts "progress" messages
+ * followed by a single "done" message carrying the slice's results: every run,
+ * or a running aggregate when params.statisticsMode is "streaming".
+ */
+self.onmessage = (event) => {
+    const { params, firstRun, runCount } = event.data;
+    const simulate = params.statisticsMode === "streaming" ? runMonteCarloAggregate : runMonteCarlo;
+
+    const results = simulate(params, runCount, {
+        firstRun,
+        onProgress: (completedRuns) => self.postMessage({ type: "progress", completedRuns })
+    });
+
+    self.postMessage({ type: "done", results });
+};
@@ -0,0 +1,140 @@
+/**
+ * Position sizing models, keyed by the value used in the parameter form.
+ */
+export const SIZING_MODELS = {
+    "fixed-fractional": "Fixed Fractional",
+    "fixed-dollar": "Fixed Dollar Risk",
+    "capped-fractional": "Fixed Fractional with Dollar Caps",
+    "kelly": "Fractional Kelly",
+    "optimal-f": "Optimal f",
+    "anti-martingale": "Anti-Martingale Step-Ups"
+};
+
+/**
+ * Full Kelly fraction of the balance to risk for a win rate and R:R.
+ * Negative when the strategy has no edge.
+ */
+export function kellyFraction(winRate, riskToReward) {
+    return winRate - (1 - winRate) / riskToReward;
+}
+
+/**
+ * Lists the possible trade outcomes as [{ rMultiple, probability }]: each
+ * trade of an imported log equally likely, or otherwise a win at the R:R and
+ * a -1R loss.
+ */
+export function tradeOutcomes(winRate, riskToReward, rMultiples) {
+    if (rMultiples && rMultiples.length > 0) {
+        return rMultiples.map((rMultiple) => ({ rMultiple, probability: 1 / rMultiples.length }));
+    }
+    return [
+        { rMultiple: riskToReward, probability: winRate },
+        { rMultiple: -1, probability: 1 - winRate }
+    ];
+}
+
+/**
+ * Ralph Vince's optimal f for a set of trade outcomes
+ * ([{ rMultiple, probability }]), found by searching for the f that maximizes
+ * the expected log growth. Returned as the fraction of the balance to risk per
+ * 1R, i.e. f divided by the size of the largest loss in R. Outcomes with no
+ * losing trades have no optimal f, and risk nothing.
+ */
+export function optimalFraction(outcomes) {
+    const possibleOutcomes = outcomes.filter((outcome) => outcome.probability > 0);
+    const largestLoss = Math.max(0, ...possibleOutcomes.map((outcome) => -outcome.rMultiple));
+    if (largestLoss === 0) {
+        return 0;
+    }
+
+    const expectedLogGrowth = (f) => possibleOutcomes.reduce(
+        (sum, outcome) => sum + outcome.probability * Math.log(1 + f * outcome.rMultiple / largestLoss),
+        0
+    );
+
+    let bestF = 0;
+    let bestGrowth = 0;
+    for (let step = 1; step < 1000; step++) {
+        const f = step / 1000;
+        const growth = expectedLogGrowth(f);
+        if (growth > bestGrowth) {
+            bestGrowth = growth;
+            bestF = f;
+        }
+    }
+    return bestF / largestLoss;
+}
+
+/**
+ * Creates the function calculateMonthlyProfit uses to size each trade:
+ * (balance, { winRate, riskToReward, state }) => dollars risked.
+ *
+ * sizing holds the model and its settings: fixedRisk, minRisk, maxRisk,
+ * kellyMultiplier, stepUpFactor, maxStepUps, optimalFraction (the optimal-f
+ * risk per 1R, computed up front from the trade outcomes) and fullKelly.
+ *
+ * Kelly sizing follows each trade's win rate and R:R, unless fullKelly is
+ * set: the full Kelly risk per 1R of trades drawn from a trade log or outcome
+ * model, i.e. the growth-optimal fraction of their outcomes.
+ */
+export function createPositionSizer(sizing, riskPercentage) {
+    const {
+        model = "fixed-fractional",
+        fixedRisk = 0,
+        minRisk = 0,
+        maxRisk = Infinity,
+        kellyMultiplier = 0.5,
+        stepUpFactor = 1.5,
+        maxStepUps = 3,
+        optimalFraction: optimalRiskFraction = 0,
+        fullKelly
+    } = sizing;
+    const capAtBalance = (amount, balance) => Math.max(0, Math.min(amount, balance));
+
+    switch (model) {
+        case "fixed-dollar":
+            return (balance) => capAtBalance(fixedRisk, balance);
+        case "capped-fractional":
+            return (balance) => capAtBalance(Math.min(maxRisk, Math.max(minRisk, balance * riskPercentage)), balance);
+        case "kelly":
+            return (balance, { winRate, riskToReward }) => capAtBalance(
+                balance * kellyMultiplier * (fullKelly ?? kellyFraction(winRate, riskToReward)),
+                balance
+            );
+        case "optimal-f":
+            return (balance) => capAtBalance(balance * optimalRiskFraction, balance);
+        case "anti-martingale":
+            return (balance, { state }) => {
+                const stepUps = Math.min(state.consecutiveWins || 0, maxStepUps);
+                return capAtBalance(balance * riskPercentage * Math.pow(stepUpFactor, stepUps), balance);
+            };
+        default:
+            return (balance) => balance * riskPercentage;
+    }
+}
+
+/**
+ * Describes a sizing model and its settings for the results summary.
+ */
+export function describeSizing(sizing, riskPercentage) {
+    const percent = (value) => `${(value * 100).toFixed(2).replace(/\.?0+$/, "")}%`;
+    const dollars = (value) => `$${value.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+    const { model = "fixed-fractional" } = sizing || {};
+
+    switch (model) {
+        case "fixed-dollar":
+            return `${SIZING_MODELS[model]} (${dollars(sizing.fixedRisk)} per trade)`;
+        case "capped-fractional":
+            return `${SIZING_MODELS[model]} (${percent(riskPercentage)} of balance, at least ${dollars(sizing.minRisk)}${
+                sizing.maxRisk === Infinity ? "" : ` and at most ${dollars(sizing.maxRisk)}`
+            })`;
+        case "kelly":
+            return `${SIZING_MODELS[model]} (${percent(sizing.kellyMultiplier)} of full Kelly)`;
+        case "optimal-f":
+            return `${SIZING_MODELS[model]} (${percent(sizing.optimalFraction ?? 0)} of balance per 1R)`;
+        case "anti-martingale":
+            return `${SIZING_MODELS[model]} (${percent(riskPercentage)} base risk, x${sizing.stepUpFactor} per win, up to ${sizing.maxStepUps} step-ups)`;
+        default:
+            return `${SIZING_MODELS["fixed-fractional"]} (${percent(riskPercentage)} of balance)`;
+    }
+}
@@ -0,0 +1,201 @@
+import { runMonteCarlo, deriveRunSeed, generateSeed } from "./main.js";
+import { annualizedReturn } from "./analytics.js";
+import { balanceFromTrading, studentTQuantile } from "./statistics.js";
+
+/**
+ * Parameters the solver can vary, with the range it searches by default.
+ * maximum may depend on the other parameters.
+ */
+export const SOLVER_PARAMETERS = {
+    winRate: { label: "Win Rate", minimum: 0, maximum: () => 1 },
+    riskPerTrade: { label: "Risk per Trade", minimum: 0.001, maximum: () => 0.5 },
+    riskToReward: { label: "R:R", minimum: 0.1, maximum: () => 10 },
+    totalMonthlyExpenses: {
+        label: "Monthly Expenses",
+        minimum: 0,
+        maximum: (params) => params.startingBalance
+    }
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Metrics the solver and the parameter sweep can target, each read from the
+ * runs of runMonteCarlo. Rates and ROI are fractions, balances are dollars.
+ */
+export const SOLVER_METRICS = {
+    survivalRate: {
+        label: "Survival Rate",
+        measure: (runs) => runs.filter((run) => run.survived).length / runs.length
+    },
+    medianBalance: {
+        label: "Median Final Balance",
+        measure: (runs) => median(runs.map((run) => run.finalBalance))
+    },
+    medianRoi: {
+        label: "Median Annualized ROI",
+        measure: (runs, params) => annualizedReturn(
+            median(runs.map(balanceFromTrading)),
+            params.startingBalance,
+            params.simulationTimeline
+        )
+    },
+    profitProbability: {
+        label: "Probability of Profit",
+        measure: (runs, params) => runs.filter(
+            (run) => !run.ruined && balanceFromTrading(run) > params.startingBalance
+        ).length / runs.length
+    }
+};
+
+/**
+ * Checks that a parameter can be varied on its own, returning an error
+ * message or null. The win rate and R:R inputs are ignored when trades come
+ * from a trade log, an outcome model or market regimes.
+ */
+export function parameterError(params, parameter) {
+    const tradeParameter = parameter === "winRate" || parameter === "riskToReward";
+    if (tradeParameter && (params.tradeLog || params.outcomeModel || params.regimeModel)) {
+        return "Win rate and R:R can only be varied for the plain win rate and R:R inputs, not for a trade log, outcome model or market regimes.";
+    }
+    return null;
+}
+
+/**
+ * Copies params with some parameters changed, ready to simulate: expenses are
+ * switched on from the first month when they are varied, and optimal f is left
+ * for each run to work out again when the trade odds change.
+ */
+export function withParameters(params, changes) {
+    const changed = { ...params, ...changes, statisticsMode: "full" };
+    if ("totalMonthlyExpenses" in changes && !(changed.expensesBegin > 0)) {
+        changed.expensesBegin = 1;
+    }
+    if (changed.sizing && ("winRate" in changes || "riskToReward" in changes)) {
+        changed.sizing = { ...changed.sizing, optimalFraction: undefined };
+    }
+    return changed;
+}
+
+/**
+ * Checks a goal before solving and returns an error message, or null when it can be solved.
+ */
+export function validateGoal(params, goal) {
+    if (!SOLVER_PARAMETERS[goal.parameter]) {
+        return `Unknown solver parameter "${goal.parameter}".`;
+    }
+    if (!SOLVER_METRICS[goal.metric]) {
+        return `Unknown solver metric "${goal.metric}".`;
+    }
+    if (!Number.isFinite(goal.target)) {
+        return "The solver needs a numeric target.";
+    }
+    return parameterError(params, goal.parameter);
+}
+
+/**
+ * Finds the value of one parameter at which a metric reaches its target, e.g.
+ * the minimum win rate for 95% survival.
+ *
+ * goal holds { parameter, metric, target } (keys of SOLVER_PARAMETERS and
+ * SOLVER_METRICS) and optionally runs per evaluation, seeds, iterations, the
+ * searched range (minimum/maximum) and the band's confidence level.
+ *
+ * The metric has to move one way across the range. Each search bisects with a
+ * single seed, so every evaluation sees the same random trades (common random
+ * numbers) and only the parameter changes. The search is repeated with
+ * several seeds; value is the average of their solutions and band is the
+ * Student's t confidence interval of that average, kept inside the searched
+ * range. A wide band means more runs or seeds are needed.
+ *
+ * simulate defaults to runMonteCarlo and may return a promise (e.g. to run in
+ * workers). Resolves to { value, band, confidence, solutions, unreachable }, where
+ * solutions lists each seed's answer and unreachable counts the seeds whose
+ * range never reached the target; value is null when none did and band is
+ * null when fewer than two seeds did.
+ */
+export async function solveForParameter(params, goal, options = {}) {
+    const { simulate = runMonteCarlo, onProgress } = options;
+    const error = validateGoal(params, goal);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const {
+        parameter,
+        metric,
+        target,
+        runs = 1000,
+        seeds = 5,
+        iterations = 12,
+        confidence = 0.95
+    } = goal;
+    const range = SOLVER_PARAMETERS[parameter];
+    const minimum = goal.minimum ?? range.minimum;
+    const maximum = goal.maximum ?? range.maximum(params);
+    const { measure } = SOLVER_METRICS[metric];
+
+    const baseSeed = params.seed ?? generateSeed();
+    const totalEvaluations = seeds * (iterations + 2);
+    let evaluations = 0;
+
+    const evaluate = async (value, seed) => {
+        const trialParams = withParameters(params, { [parameter]: value, seed });
+        const result = measure(await simulate(trialParams, runs), trialParams);
+        evaluations++;
+        if (onProgress) {
+            onProgress(evaluations, totalEvaluations);
+        }
+        return result;
+    };
+
+    const solutions = [];
+    let unreachable = 0;
+    for (let i = 0; i < seeds; i++) {
+        const seed = i === 0 ? baseSeed : deriveRunSeed(baseSeed, i);
+        const atMinimum = await evaluate(minimum, seed);
+        const atMaximum = await evaluate(maximum, seed);
+        const increasing = atMaximum >= atMinimum;
+
+        if (Math.max(atMinimum, atMaximum) < target || Math.min(atMinimum, atMaximum) >= target) {
+            // Never met, or already met across the whole range: nothing to bisect.
+            if (Math.min(atMinimum, atMaximum) >= target) {
+                solutions.push(increasing ? minimum : maximum);
+            } else {
+                unreachable++;
+            }
+            evaluations += iterations;
+            continue;
+        }
+
+        // Keep `failing` below the target and `meeting` at or above it.
+        let failing = increasing ? minimum : maximum;
+        let meeting = increasing ? maximum : minimum;
+        for (let step = 0; step < iterations; step++) {
+            const middle = (failing + meeting) / 2;
+            if (await evaluate(middle, seed) >= target) {
+                meeting = middle;
+            } else {
+                failing = middle;
+            }
+        }
+        solutions.push(meeting);
+    }
+
+    if (solutions.length === 0) {
+        return { value: null, band: null, confidence, solutions, unreachable };
+    }
+    const count = solutions.length;
+    const value = solutions.reduce((sum, solution) => sum + solution, 0) / count;
+    let band = null;
+    if (count > 1) {
+        const variance = solutions.reduce((sum, solution) => sum + (solution - value) ** 2, 0) / (count - 1);
+        const margin = studentTQuantile((1 + confidence) / 2, count - 1) * Math.sqrt(variance / count);
+        band = [Math.max(minimum, value - margin), Math.min(maximum, value + margin)];
+    }
+    return { value, band, confidence, solutions, unreachable };
+}
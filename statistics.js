@@ -0,0 +1,394 @@
+const DEFAULT_RELATIVE_ACCURACY = 0.01;
+const ZERO_THRESHOLD = 1e-9;
+
+/**
+ * Creates an empty quantile sketch. Values are counted in logarithmic bins so
+ * any quantile can be read back within the relative accuracy (1% by default),
+ * while memory depends only on the spread of values, not on how many are added.
+ *
+ * Sketches are plain objects so they can be posted between workers and merged.
+ */
+export function createQuantileSketch(relativeAccuracy = DEFAULT_RELATIVE_ACCURACY) {
+    return {
+        gamma: (1 + relativeAccuracy) / (1 - relativeAccuracy),
+        count: 0,
+        min: Infinity,
+        max: -Infinity,
+        bins: {},
+        exemplars: {}
+    };
+}
+
+function binKey(sketch, value) {
+    if (Math.abs(value) < ZERO_THRESHOLD) {
+        return "z";
+    }
+    const index = Math.ceil(Math.log(Math.abs(value)) / Math.log(sketch.gamma));
+    return (value > 0 ? "p" : "n") + index;
+}
+
+function binValue(sketch, key) {
+    if (key === "z") {
+        return 0;
+    }
+    const index = Number(key.slice(1));
+    const magnitude = (2 * Math.pow(sketch.gamma, index)) / (sketch.gamma + 1);
+    const value = key[0] === "p" ? magnitude : -magnitude;
+    return Math.min(sketch.max, Math.max(sketch.min, value));
+}
+
+/**
+ * Adds a value to a sketch. An optional exemplar (e.g. the run seed) is kept
+ * for the first value landing in each bin, so a representative run can be
+ * replayed later for any part of the distribution.
+ */
+export function addToSketch(sketch, value, exemplar) {
+    const key = binKey(sketch, value);
+    sketch.bins[key] = (sketch.bins[key] || 0) + 1;
+    if (exemplar !== undefined && !(key in sketch.exemplars)) {
+        sketch.exemplars[key] = exemplar;
+    }
+    sketch.count++;
+    sketch.min = Math.min(sketch.min, value);
+    sketch.max = Math.max(sketch.max, value);
+}
+
+/**
+ * Merges the counts of one sketch into another (same relative accuracy).
+ */
+export function mergeSketches(target, source) {
+    for (const [key, count] of Object.entries(source.bins)) {
+        target.bins[key] = (target.bins[key] || 0) + count;
+    }
+    for (const [key, exemplar] of Object.entries(source.exemplars)) {
+        if (!(key in target.exemplars)) {
+            target.exemplars[key] = exemplar;
+        }
+    }
+    target.count += source.count;
+    target.min = Math.min(target.min, source.min);
+    target.max = Math.max(target.max, source.max);
+    return target;
+}
+
+/**
+ * Lists a sketch's bins in ascending order as { value, count, exemplar }.
+ */
+export function sketchPoints(sketch) {
+    return Object.entries(sketch.bins)
+        .map(([key, count]) => ({ value: binValue(sketch, key), count, exemplar: sketch.exemplars[key] }))
+        .sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Returns the point holding quantile q (0 to 1) of the sketch, or null if empty.
+ */
+export function sketchQuantilePoint(sketch, q) {
+    if (sketch.count === 0) {
+        return null;
+    }
+    const rank = Math.min(sketch.count - 1, Math.floor(q * sketch.count));
+    let seen = 0;
+    const points = sketchPoints(sketch);
+    for (const point of points) {
+        seen += point.count;
+        if (seen > rank) {
+            return point;
+        }
+    }
+    return points[points.length - 1];
+}
+
+/**
+ * Estimates quantile q (0 to 1) of the values added to a sketch.
+ */
+export function sketchQuantile(sketch, q) {
+    if (sketch.count > 0 && q <= 0) {
+        return sketch.min;
+    }
+    if (sketch.count > 0 && q >= 1) {
+        return sketch.max;
+    }
+    const point = sketchQuantilePoint(sketch, q);
+    return point ? point.value : NaN;
+}
+
+// Natural log of the gamma function (Lanczos approximation).
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    const base = x + 5.5;
+    let series = 1.000000000190015;
+    coefficients.forEach((coefficient, i) => {
+        series += coefficient / (x + i + 1);
+    });
+    return (x + 0.5) * Math.log(base) - base + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction of the regularized incomplete beta function.
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let result = d;
+    for (let m = 1; m <= 200; m++) {
+        for (const numerator of [
+            m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+            -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+        ]) {
+            d = 1 + numerator * d;
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + numerator / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            result *= d * c;
+        }
+        if (Math.abs(d * c - 1) < 1e-12) {
+            break;
+        }
+    }
+    return result;
+}
+
+// Regularized incomplete beta function I_x(a, b).
+function incompleteBeta(x, a, b) {
+    if (x <= 0 || x >= 1) {
+        return x <= 0 ? 0 : 1;
+    }
+    const front = Math.exp(
+        logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Probability that a Student's t variable with degreesOfFreedom is at most t.
+ */
+export function studentTCdf(t, degreesOfFreedom) {
+    const tail = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5) / 2;
+    return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * The value a Student's t variable with degreesOfFreedom stays at or below
+ * with the given probability, e.g. 2.776 for 0.975 and 4 degrees of freedom.
+ * Found by bisecting the distribution function.
+ */
+export function studentTQuantile(probability, degreesOfFreedom) {
+    if (probability < 0.5) {
+        return -studentTQuantile(1 - probability, degreesOfFreedom);
+    }
+    let low = 0;
+    let high = 1;
+    while (studentTCdf(high, degreesOfFreedom) < probability) {
+        high *= 2;
+    }
+    for (let step = 0; step < 100 && high - low > 1e-10; step++) {
+        const middle = (low + high) / 2;
+        if (studentTCdf(middle, degreesOfFreedom) < probability) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Number of 10%-wide buckets in the max drawdown distribution (0-10% ... 90-100%).
+ */
+export const DRAWDOWN_BUCKETS = 10;
+
+/**
+ * Returns the drawdown distribution bucket for a max drawdown fraction.
+ */
+export function drawdownBucketIndex(maxDrawdown) {
+    return Math.min(DRAWDOWN_BUCKETS - 1, Math.floor(maxDrawdown * DRAWDOWN_BUCKETS));
+}
+
+/**
+ * Percentiles drawn on the balance-over-time fan chart.
+ */
+export const FAN_PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * A run's final balance from trading alone: deposits are not profit and
+ * withdrawn profits are, so both are netted out.
+ */
+export const balanceFromTrading = (run) =>
+    run.finalBalance - (run.netContributions || 0) + (run.totalWithdrawn || 0);
+
+/**
+ * A run's balance at the end of a month (1-based) of the timeline. Ruined runs
+ * stop early and keep their last balance for the months after.
+ */
+export function balanceAtMonth(monthlyData, month) {
+    if (monthlyData.length === 0) {
+        return 0;
+    }
+    return monthlyData[Math.min(month, monthlyData.length) - 1].endBalance;
+}
+
+/**
+ * Percentiles of the balance at the end of every month across all runs, as
+ * [{ month, values }] with values ordered like percentiles. Month 0 is the
+ * starting balance.
+ */
+export function monthlyBalancePercentiles(runs, startingBalance, months, percentiles = FAN_PERCENTILES) {
+    const rows = [{ month: 0, values: percentiles.map(() => startingBalance) }];
+    for (let month = 1; month <= months; month++) {
+        const balances = runs.map((run) => balanceAtMonth(run.monthlyData, month)).sort((a, b) => a - b);
+        rows.push({
+            month,
+            values: percentiles.map((percentile) =>
+                balances[Math.min(balances.length - 1, Math.floor((balances.length * percentile) / 100))]
+            )
+        });
+    }
+    return rows;
+}
+
+/**
+ * The same per-month percentiles as monthlyBalancePercentiles, read from the
+ * per-month sketches of a streaming aggregate.
+ */
+export function aggregateMonthlyPercentiles(aggregate, percentiles = FAN_PERCENTILES) {
+    return [
+        { month: 0, values: percentiles.map(() => aggregate.startingBalance) },
+        ...aggregate.monthlyBalances.map((sketch, i) => ({
+            month: i + 1,
+            values: percentiles.map((percentile) => sketchQuantile(sketch, percentile / 100))
+        }))
+    ];
+}
+
+/**
+ * Creates the running aggregate that streaming mode keeps instead of every run:
+ * outcome counts, sums (final balances, fees, taxes and withdrawals), the extremes,
+ * and sketches of final balances, total withdrawals, drawdowns and the balance
+ * at the end of each of the timeline's months.
+ */
+export function createRunAggregate(startingBalance, months = 0) {
+    return {
+        startingBalance,
+        runs: 0,
+        survived: 0,
+        ruined: 0,
+        profitable: 0,
+        losing: 0,
+        finalBalanceSum: 0,
+        totalFeesSum: 0,
+        totalWithdrawnSum: 0,
+        totalTaxesSum: 0,
+        worst: null,
+        best: null,
+        finalBalances: createQuantileSketch(),
+        totalWithdrawn: createQuantileSketch(),
+        maxDrawdowns: createQuantileSketch(),
+        longestDrawdowns: createQuantileSketch(),
+        recoveryMonths: createQuantileSketch(),
+        drawdownRuns: 0,
+        recovered: 0,
+        drawdownBuckets: new Array(DRAWDOWN_BUCKETS).fill(0),
+        regimeMonths: {},
+        monthlyBalances: Array.from({ length: months }, () => createQuantileSketch())
+    };
+}
+
+/**
+ * Folds one run result from runMonteCarlo into an aggregate. Only the run's
+ * seed is kept, so its monthly path can be replayed if it is needed later.
+ */
+export function addRunToAggregate(aggregate, run) {
+    aggregate.runs++;
+    aggregate.finalBalanceSum += run.finalBalance;
+    aggregate.totalFeesSum += run.totalFees;
+    aggregate.totalWithdrawnSum += run.totalWithdrawn;
+    aggregate.totalTaxesSum += run.totalTaxes;
+    if (run.survived) {
+        aggregate.survived++;
+    }
+    const tradingBalance = balanceFromTrading(run);
+    if (run.ruined) {
+        aggregate.ruined++;
+    } else if (tradingBalance > aggregate.startingBalance) {
+        aggregate.profitable++;
+    } else if (tradingBalance < aggregate.startingBalance) {
+        aggregate.losing++;
+    }
+
+    const extreme = { finalBalance: run.finalBalance, seed: run.seed };
+    if (!aggregate.worst || run.finalBalance < aggregate.worst.finalBalance) {
+        aggregate.worst = extreme;
+    }
+    if (!aggregate.best || run.finalBalance > aggregate.best.finalBalance) {
+        aggregate.best = extreme;
+    }
+
+    addToSketch(aggregate.finalBalances, run.finalBalance, run.seed);
+    addToSketch(aggregate.totalWithdrawn, run.totalWithdrawn);
+    addToSketch(aggregate.maxDrawdowns, run.maxDrawdown);
+    addToSketch(aggregate.longestDrawdowns, run.longestDrawdownMonths);
+    aggregate.drawdownBuckets[drawdownBucketIndex(run.maxDrawdown)]++;
+    if (run.maxDrawdown > 0) {
+        aggregate.drawdownRuns++;
+    }
+    if (run.recoveryMonths !== null) {
+        aggregate.recovered++;
+        addToSketch(aggregate.recoveryMonths, run.recoveryMonths);
+    }
+
+    if (run.regimeMonths) {
+        for (const [name, months] of Object.entries(run.regimeMonths)) {
+            aggregate.regimeMonths[name] = (aggregate.regimeMonths[name] || 0) + months;
+        }
+    }
+    aggregate.monthlyBalances.forEach((sketch, i) => {
+        addToSketch(sketch, balanceAtMonth(run.monthlyData, i + 1));
+    });
+}
+
+/**
+ * Merges one aggregate into another, e.g. the results of several workers.
+ */
+export function mergeAggregates(target, source) {
+    target.runs += source.runs;
+    target.survived += source.survived;
+    target.ruined += source.ruined;
+    target.profitable += source.profitable;
+    target.losing += source.losing;
+    target.finalBalanceSum += source.finalBalanceSum;
+    target.totalFeesSum += source.totalFeesSum;
+    target.totalWithdrawnSum += source.totalWithdrawnSum;
+    target.totalTaxesSum += source.totalTaxesSum;
+
+    if (source.worst && (!target.worst || source.worst.finalBalance < target.worst.finalBalance)) {
+        target.worst = source.worst;
+    }
+    if (source.best && (!target.best || source.best.finalBalance > target.best.finalBalance)) {
+        target.best = source.best;
+    }
+
+    mergeSketches(target.finalBalances, source.finalBalances);
+    mergeSketches(target.totalWithdrawn, source.totalWithdrawn);
+    mergeSketches(target.maxDrawdowns, source.maxDrawdowns);
+    mergeSketches(target.longestDrawdowns, source.longestDrawdowns);
+    mergeSketches(target.recoveryMonths, source.recoveryMonths);
+    target.drawdownRuns += source.drawdownRuns;
+    target.recovered += source.recovered;
+    source.drawdownBuckets.forEach((count, i) => {
+        target.drawdownBuckets[i] += count;
+    });
+
+    for (const [name, months] of Object.entries(source.regimeMonths)) {
+        target.regimeMonths[name] = (target.regimeMonths[name] || 0) + months;
+    }
+    source.monthlyBalances.forEach((sketch, i) => {
+        mergeSketches(target.monthlyBalances[i], sketch);
+    });
+    return target;
+}
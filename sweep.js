@@ -0,0 +1,93 @@
+import { runMonteCarlo, generateSeed } from "./main.js";
+import { SOLVER_METRICS, parameterError, withParameters } from "./solver.js";
+
+/**
+ * Parameters a sweep can put on either axis of its grid. Integer parameters
+ * are rounded and repeated values dropped.
+ */
+export const SWEEP_PARAMETERS = {
+    winRate: { label: "Win Rate" },
+    riskToReward: { label: "R:R" },
+    riskPerTrade: { label: "Risk per Trade" },
+    tradesPerWeek: { label: "Trades per Week", integer: true },
+    totalMonthlyExpenses: { label: "Monthly Expenses" }
+};
+
+/**
+ * Lists `steps` evenly spaced values from `from` to `to` inclusive.
+ */
+export function sweepValues(from, to, steps, integer = false) {
+    const count = Math.max(1, Math.floor(steps));
+    const values = Array.from({ length: count }, (_, i) =>
+        count === 1 ? from : from + ((to - from) * i) / (count - 1)
+    );
+    return integer ? [...new Set(values.map(Math.round))] : values;
+}
+
+/**
+ * Checks a sweep before running it and returns an error message, or null.
+ */
+export function validateSweep(params, sweep) {
+    const { xParameter, yParameter, metric } = sweep;
+    for (const parameter of [xParameter, yParameter]) {
+        if (!SWEEP_PARAMETERS[parameter]) {
+            return `Unknown sweep parameter "${parameter}".`;
+        }
+    }
+    if (xParameter === yParameter) {
+        return "The two sweep axes need different parameters.";
+    }
+    if (!SOLVER_METRICS[metric]) {
+        return `Unknown sweep metric "${metric}".`;
+    }
+    if (sweep.xValues.length === 0 || sweep.yValues.length === 0) {
+        return "Each sweep axis needs at least one value.";
+    }
+    return parameterError(params, xParameter) || parameterError(params, yParameter);
+}
+
+/**
+ * Runs the simulation for every cell of a two-parameter grid and measures one
+ * of SOLVER_METRICS in each.
+ *
+ * sweep holds { xParameter, xValues, yParameter, yValues, metric, runs }.
+ * Every cell uses the same seed, so neighbouring cells differ only by their
+ * parameters and the heatmap stays smooth. Each cell keeps its params, so the
+ * cell can be simulated again for its full summary.
+ *
+ * simulate defaults to runMonteCarlo and may return a promise. Resolves to
+ * { xValues, yValues, rows }, with one row per y value holding one cell
+ * { x, y, value, params } per x value.
+ */
+export async function runSweep(params, sweep, options = {}) {
+    const { simulate = runMonteCarlo, onProgress } = options;
+    const error = validateSweep(params, sweep);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const { xParameter, xValues, yParameter, yValues, metric, runs = 500 } = sweep;
+    const { measure } = SOLVER_METRICS[metric];
+    const seed = params.seed ?? generateSeed();
+    const totalCells = xValues.length * yValues.length;
+
+    const rows = [];
+    for (const y of yValues) {
+        const row = [];
+        for (const x of xValues) {
+            const cellParams = withParameters(params, {
+                [xParameter]: x,
+                [yParameter]: y,
+                seed,
+                simulationRuns: runs
+            });
+            const value = measure(await simulate(cellParams, runs), cellParams);
+            row.push({ x, y, value, params: cellParams });
+            if (onProgress) {
+                onProgress(rows.length * xValues.length + row.length, totalCells);
+            }
+        }
+        rows.push(row);
+    }
+    return { xValues, yValues, rows };
+}
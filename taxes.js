@@ -0,0 +1,37 @@
+/**
+ * Creates the tax account of one run: a function that takes each month's
+ * trading gain (profit after fees) and returns the tax paid that month.
+ *
+ * taxPolicy holds { rate, schedule }. Gains are added up over each period
+ * ("quarterly" or "annual") and the tax is paid at the end of the period on
+ * the net gain. A net loss is carried forward to offset the gains of later
+ * periods. Periods follow the calendar from firstMonth, the calendar month of
+ * the first simulated month (0 for January), so a run starting in November
+ * pays its first annual tax in December. Passing isLastMonth settles the open
+ * period, so gains of a trailing part period are taxed too.
+ */
+export function createTaxAccount(taxPolicy, firstMonth = 0) {
+    const { rate = 0, schedule = "annual" } = taxPolicy;
+    const monthsPerPeriod = schedule === "quarterly" ? 3 : 12;
+    let calendarMonth = firstMonth;
+    let periodGains = 0;
+    let lossCarryforward = 0;
+
+    return function taxForMonth(tradingGain, isLastMonth = false) {
+        const isPeriodEnd = (calendarMonth + 1) % monthsPerPeriod === 0;
+        calendarMonth = (calendarMonth + 1) % 12;
+        periodGains += tradingGain;
+        if (!isPeriodEnd && !isLastMonth) {
+            return 0;
+        }
+
+        const taxableGain = periodGains - lossCarryforward;
+        periodGains = 0;
+        if (taxableGain <= 0) {
+            lossCarryforward = -taxableGain;
+            return 0;
+        }
+        lossCarryforward = 0;
+        return taxableGain * rate;
+    };
+}
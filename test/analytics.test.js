@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const {
+  annualizedReturn,
+  summarizeRuns,
+  outcomeBuckets,
+  drillDownBuckets
+} = require("../analytics.js");
+
+const params = { startingBalance: 1000, simulationTimeline: 12 };
+
+// Minimal run result with a one-month balance history.
+const createRun = (finalBalance, overrides = {}) => ({
+  finalBalance,
+  survived: finalBalance > 0,
+  ruined: finalBalance <= 0,
+  totalFees: 10,
+  totalTaxes: 0,
+  totalWithdrawn: 0,
+  maxDrawdown: 0,
+  longestDrawdownMonths: 0,
+  recoveryMonths: null,
+  monthlyData: [{ endBalance: finalBalance }],
+  ...overrides
+});
+
+describe("testing the results analytics", () => {
+  it("calculating annualized returns for gains, losses, wiped-out and negative accounts", () => {
+    //setup
+    const startingBalance = 10000;
+
+    //exercise
+    const doubledInTwoYears = annualizedReturn(20000, startingBalance, 24);
+    const halvedInSixMonths = annualizedReturn(5000, startingBalance, 6);
+    const wipedOut = annualizedReturn(0, startingBalance, 6);
+    const overdrawn = annualizedReturn(-15000, startingBalance, 12);
+    const overdrawnInTwoYears = annualizedReturn(-500, startingBalance, 24);
+
+    //verify
+    expect(doubledInTwoYears).to.be.closeTo(Math.SQRT2 - 1, 1e-12);
+    expect(halvedInSixMonths).to.be.closeTo(-0.75, 1e-12);
+    expect(wipedOut).to.be.equal(-1);
+    expect(overdrawn).to.be.equal(-1);
+    expect(overdrawnInTwoYears).to.be.equal(-1);
+  });
+
+  it("calculating run counts, averages and representative runs", () => {
+    //setup
+    const runs = [1500, 0, 2000, 800, 1000].map((balance) => createRun(balance));
+
+    //exercise
+    const summary = summarizeRuns(runs, params);
+
+    //verify
+    expect(summary).to.include({
+      totalRuns: 5,
+      totalAverageBalance: 1060,
+      averageFeesPaid: 10,
+      survivingCount: 4,
+      totalRuinCount: 1,
+      profitableCount: 2,
+      losingCount: 1
+    });
+    expect(summary.worstCaseOfAll.finalBalance).to.be.equal(0);
+    expect(summary.bestCaseOfAll.finalBalance).to.be.equal(2000);
+    expect(summary.medianOfAll.finalBalance).to.be.equal(1000);
+    expect(summary.averageScenarioOfAll.finalBalance).to.be.equal(1000);
+    expect(summary.balanceAtQuantile(1)).to.be.equal(2000);
+  });
+
+  it("ensuring an empty set of runs cannot be summarized", () => {
+    //setup
+    const runs = [];
+
+    //exercise
+    const summarizeNothing = () => summarizeRuns(runs, params);
+
+    //verify
+    expect(summarizeNothing).to.throw("There are no runs to summarize.");
+  });
+
+  it("calculating nine core buckets and an outlier bucket for the top 2%", () => {
+    //setup
+    const runs = Array.from({ length: 100 }, (_, i) => createRun(1000 + i * 10));
+    runs.push(createRun(100000));
+    const summary = summarizeRuns(runs, params);
+
+    //exercise
+    const buckets = outcomeBuckets(summary, params);
+
+    //verify
+    expect(buckets).to.have.lengthOf(10);
+    expect(buckets.reduce((sum, bucket) => sum + bucket.count, 0)).to.be.equal(101);
+    expect(buckets[0]).to.include({ min: 1000, count: 11 });
+    expect(buckets[0].roi.min).to.be.equal(0);
+    expect(buckets[0].roi.max).to.be.closeTo(0.1, 1e-12);
+    expect(buckets[9]).to.include({ min: 1980, max: 100000, count: 3, isOutlierBucket: true });
+    expect(buckets[9].percentage).to.be.closeTo((3 / 101) * 100, 1e-9);
+  });
+
+  it("ensuring there are no outcome buckets for ten runs or fewer, or for zero range", () => {
+    //setup
+    const fewRuns = summarizeRuns([100, 900, 5000].map((balance) => createRun(balance)), params);
+    const sameRuns = summarizeRuns(Array.from({ length: 50 }, () => createRun(1200)), params);
+
+    //exercise
+    const fewBuckets = outcomeBuckets(fewRuns, params);
+    const sameBuckets = outcomeBuckets(sameRuns, params);
+
+    //verify
+    expect(fewBuckets).to.deep.equal([]);
+    expect(sameBuckets).to.deep.equal([]);
+  });
+
+  it("calculating drill-down sub-buckets, weighting streaming balance points", () => {
+    //setup
+    const points = [
+      { finalBalance: 1000, count: 3 },
+      { finalBalance: 1050, count: 1 },
+      { finalBalance: 2000, count: 4 }
+    ];
+
+    //exercise
+    const { min, max, totalRuns, buckets } = drillDownBuckets(points, params, 4);
+
+    //verify
+    expect({ min, max, totalRuns }).to.deep.equal({ min: 1000, max: 2000, totalRuns: 8 });
+    expect(buckets.map((bucket) => bucket.count)).to.deep.equal([4, 0, 0, 4]);
+    expect(buckets.map((bucket) => bucket.percentage)).to.deep.equal([50, 0, 0, 50]);
+    expect(buckets[0].roi.max).to.be.closeTo(0.05, 1e-12);
+    expect(buckets[1]).to.not.have.property("roi");
+  });
+
+  it("ensuring a single run or a bucket of equal balances cannot be drilled into", () => {
+    //setup
+    const single = [createRun(1500)];
+    const equal = [createRun(1500), createRun(1500)];
+
+    //exercise
+    const singleDrillDown = drillDownBuckets(single, params);
+    const equalDrillDown = drillDownBuckets(equal, params);
+
+    //verify
+    expect(singleDrillDown.buckets).to.deep.equal([]);
+    expect(equalDrillDown).to.deep.equal({ min: 1500, max: 1500, totalRuns: 2, buckets: [] });
+  });
+});
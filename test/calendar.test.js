@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { accumulateProfits, createRandom } = require("../main.js");
+const { samplePoisson } = require("../random.js");
+const {
+  usMarketHolidays,
+  isoWeekNumber,
+  buildTradingMonths,
+  parseDateList,
+} = require("../calendar.js");
+
+describe("testing the calendar time model", () => {
+  it("confirming the US market holidays follow the observed-date rules", () => {
+    //setup
+    const year = 2022;
+
+    //exercise
+    const holidays = usMarketHolidays(year);
+
+    //verify
+    // New Year's Day 2022 fell on a Saturday and was not observed.
+    expect(holidays).to.deep.equal([
+      "2022-01-17",
+      "2022-02-21",
+      "2022-04-15",
+      "2022-05-30",
+      "2022-06-20",
+      "2022-07-04",
+      "2022-09-05",
+      "2022-11-24",
+      "2022-12-26",
+    ]);
+  });
+
+  it("calculating a full year of trading days", () => {
+    //setup
+    const calendar = { startDate: "2025-01-01" };
+
+    //exercise
+    const months = buildTradingMonths(calendar, 12);
+    const tradingDays = months.reduce((sum, month) => sum + month.tradingDays, 0);
+
+    //verify
+    expect(months[0]).to.deep.equal({ label: "Jan 2025", month: 0, tradingDays: 21 });
+    expect(months[11].label).to.be.equal("Dec 2025");
+    expect(tradingDays).to.be.equal(251);
+  });
+
+  it("ensuring vacation weeks, extra holidays and a mid-month start remove trading days", () => {
+    //setup
+    const calendar = {
+      startDate: "2025-03-17",
+      usHolidays: false,
+      holidays: parseDateList("2025-04-01"),
+      vacationWeeks: [isoWeekNumber(new Date("2025-04-14T00:00:00Z"))],
+    };
+
+    //exercise
+    const months = buildTradingMonths(calendar, 2);
+
+    //verify
+    expect(months[0].tradingDays).to.be.equal(11);
+    expect(months[1].tradingDays).to.be.equal(22 - 1 - 5);
+    expect(() => parseDateList("2025-13-01")).to.throw("YYYY-MM-DD");
+  });
+
+  it("calculating the mean of Poisson trade counts", () => {
+    //setup
+    const random = createRandom(11);
+
+    //exercise
+    const smallCounts = Array.from({ length: 20000 }, () => samplePoisson(4, random));
+    const largeCounts = Array.from({ length: 20000 }, () => samplePoisson(80, random));
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    //verify
+    expect(average(smallCounts)).to.be.closeTo(4, 0.1);
+    expect(average(largeCounts)).to.be.closeTo(80, 0.5);
+  });
+
+  it("confirming accumulateProfits trades each calendar month's trading days", () => {
+    //setup
+    const tradingMonths = [
+      { label: "Jan 2025", month: 0, tradingDays: 20 },
+      { label: "Feb 2025", month: 1, tradingDays: 0 },
+    ];
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 5, 1, 1, 0, 0, 2, 0, {
+      tradingMonths,
+    });
+
+    //verify
+    expect(months[0].label).to.be.equal("Jan 2025");
+    expect(months[0].endBalance).to.be.closeTo(10000 * Math.pow(1.01, 20), 1e-6);
+    expect(months[1].grossProfit).to.be.equal(0);
+  });
+
+  it("ensuring random trade counts are recorded and reproducible from the seed", () => {
+    //setup
+    const options = () => ({ random: createRandom(9), randomTradeCount: true });
+
+    //exercise
+    const first = accumulateProfits(10000, 0.01, 5, 0.5, 2, 0, 0, 6, 0, options());
+    const second = accumulateProfits(10000, 0.01, 5, 0.5, 2, 0, 0, 6, 0, options());
+
+    //verify
+    expect(first.map((month) => month.trades)).to.deep.equal(second.map((month) => month.trades));
+    expect(new Set(first.map((month) => month.trades)).size).to.be.greaterThan(1);
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { accumulateProfits, runMonteCarlo } = require("../main.js");
+const { parseOneOffCashFlows, monthlyCashFlows } = require("../cashFlows.js");
+const { createRunAggregate, addRunToAggregate } = require("../statistics.js");
+
+describe("testing the cash-flow schedule", () => {
+  it("confirming one-off cash flows are parsed from month: amount pairs", () => {
+    //setup
+    const text = "6: 5000, 12: -$10000\n12: 250";
+
+    //exercise
+    const flows = parseOneOffCashFlows(text);
+
+    //verify
+    expect(flows).to.deep.equal([
+      { month: 6, amount: 5000 },
+      { month: 12, amount: -10000 },
+      { month: 12, amount: 250 },
+    ]);
+    expect(() => parseOneOffCashFlows("June: 500")).to.throw("month: amount");
+  });
+
+  it("calculating inflated expenses that begin and end on the given months", () => {
+    //setup
+    const cashFlows = { expenseInflation: 0.1, expensesEnd: 26 };
+
+    //exercise
+    const expenses = [1, 3, 12, 13, 25, 26, 27].map(
+      (month) => monthlyCashFlows(cashFlows, 1000, 3, month).expenses
+    );
+
+    //verify
+    expect(expenses[0]).to.be.equal(0);
+    expect(expenses[1]).to.be.equal(1000);
+    expect(expenses[2]).to.be.equal(1000);
+    expect(expenses[3]).to.be.closeTo(1100, 1e-9);
+    expect(expenses[4]).to.be.closeTo(1210, 1e-9);
+    expect(expenses[5]).to.be.closeTo(1210, 1e-9);
+    expect(expenses[6]).to.be.equal(0);
+  });
+
+  it("ensuring accumulateProfits itemizes deposits, one-off flows and expenses", () => {
+    //setup
+    const cashFlows = {
+      monthlyDeposit: 500,
+      oneOffs: [{ month: 2, amount: -2000 }],
+    };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 1, 0, 2, 300, 1, 3, 0, {
+      cashFlows,
+    });
+
+    //verify
+    expect(months.map((month) => month.deposit)).to.deep.equal([500, 500, 500]);
+    expect(months.map((month) => month.oneOff)).to.deep.equal([0, -2000, 0]);
+    expect(months.map((month) => month.expensesDeducted)).to.deep.equal([300, 300, 300]);
+    months.forEach((month, i) => {
+      const previousBalance = i === 0 ? 10000 : months[i - 1].endBalance;
+      expect(month.endBalance).to.be.closeTo(
+        previousBalance + month.netProfit + month.deposit + month.oneOff,
+        1e-6
+      );
+    });
+  });
+
+  it("confirming deposits are not counted as profit when classifying runs", () => {
+    //setup
+    const params = {
+      startingBalance: 10000,
+      riskPerTrade: 0.01,
+      tradesPerWeek: 1,
+      winRate: 0,
+      riskToReward: 2,
+      totalMonthlyExpenses: 0,
+      expensesBegin: 0,
+      simulationTimeline: 6,
+      myFeePercentage: 0,
+      seed: 1,
+      cashFlows: { monthlyDeposit: 1000 },
+    };
+    const aggregate = createRunAggregate(params.startingBalance);
+
+    //exercise
+    const [run] = runMonteCarlo(params, 1);
+    addRunToAggregate(aggregate, run);
+
+    //verify
+    expect(run.finalBalance).to.be.greaterThan(params.startingBalance);
+    expect(run.netContributions).to.be.equal(6000);
+    expect(aggregate.profitable).to.be.equal(0);
+    expect(aggregate.losing).to.be.equal(1);
+  });
+});
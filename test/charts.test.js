@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { escapeHtml, histogramShares, overlaidHistogramSvg, fanChartSvg, barChartSvg } = require("../charts.js");
+
+describe("testing the SVG charts", () => {
+  it("calculating each bucket's share of the weighted points", () => {
+    //setup
+    const points = [
+      { value: 0, count: 1 },
+      { value: 5, count: 2 },
+      { value: 9.9, count: 1 }
+    ];
+
+    //exercise
+    const shares = histogramShares(points, 0, 10, 2);
+
+    //verify
+    expect(shares).to.deep.equal([0.25, 0.75]);
+  });
+
+  it("ensuring values outside the range land in the edge buckets", () => {
+    //setup
+    const points = [
+      { value: -50, count: 1 },
+      { value: 500, count: 3 }
+    ];
+
+    //exercise
+    const shares = histogramShares(points, 0, 100, 4);
+
+    //verify
+    expect(shares).to.deep.equal([0.25, 0, 0, 0.75]);
+  });
+
+  it("confirming one curve and one legend entry are drawn per series", () => {
+    //setup
+    const series = [
+      { name: "Base", points: [{ value: 1, count: 1 }, { value: 3, count: 1 }] },
+      { name: "Half risk", points: [{ value: 2, count: 4 }] }
+    ];
+
+    //exercise
+    const svg = overlaidHistogramSvg(series, { bucketCount: 4, formatValue: (value) => `$${value}` });
+
+    //verify
+    expect(svg.match(/<path /g)).to.have.lengthOf(2);
+    expect(svg).to.include(">Base</text>");
+    expect(svg).to.include(">Half risk</text>");
+    expect(svg).to.include(">$1</text>");
+    expect(svg).to.include(">$3</text>");
+  });
+
+  it("ensuring series names are escaped in the markup", () => {
+    //setup
+    const name = `<script>alert("x")</script>`;
+
+    //exercise
+    const svg = overlaidHistogramSvg([{ name, points: [{ value: 1, count: 1 }] }]);
+
+    //verify
+    expect(svg).to.not.include("<script>");
+    expect(svg).to.include(escapeHtml(name));
+  });
+
+  it("confirming the fan chart shades two bands, draws the median and overlays paths", () => {
+    //setup
+    const rows = [
+      { month: 0, values: [100, 100, 100, 100, 100] },
+      { month: 1, values: [50, 80, 110, 130, 200] },
+      { month: 2, values: [0, 70, 120, 160, 300] }
+    ];
+    const paths = [{ name: "Worst Case path", values: [100, 20, -10] }];
+
+    //exercise
+    const plain = fanChartSvg(rows);
+    const withPath = fanChartSvg(rows, { paths, formatValue: (value) => `$${value}` });
+
+    //verify
+    expect(plain.match(/<polygon /g)).to.have.lengthOf(2);
+    expect(plain.match(/<polyline /g)).to.have.lengthOf(1);
+    expect(plain).to.include(">5th-95th percentile</text>");
+    expect(plain).to.include(">Median</text>");
+    expect(withPath.match(/<polyline /g)).to.have.lengthOf(2);
+    expect(withPath).to.include(">Worst Case path</text>");
+    expect(withPath).to.include(">$-10</text>");
+    expect(withPath).to.include(">Month 2</text>");
+  });
+
+  it("confirming the bar chart marks drillable bars and escapes their tooltips", () => {
+    //setup
+    const bars = [
+      { value: 0.1, color: "red", tooltip: "$0 to $5,000 <10 runs>", drillable: false },
+      { value: 0.6, color: "green", tooltip: "$5,000 to $10,000", drillable: true },
+      { value: 0.3, color: "green", tooltip: "$10,000 to $15,000", drillable: true }
+    ];
+
+    //exercise
+    const svg = barChartSvg(bars, { height: 220, startLabel: "$0", endLabel: "$15,000" });
+
+    //verify
+    expect(svg.match(/<rect /g)).to.have.lengthOf(3);
+    expect(svg.match(/class="drillable"/g)).to.have.lengthOf(2);
+    expect(svg).to.include('data-index="0"');
+    expect(svg).to.include('height="190.0" fill="green" class="drillable" data-index="1"');
+    expect(svg).to.include(`<title>${escapeHtml(bars[0].tooltip)}</title>`);
+    expect(svg).to.include(">$0</text>");
+    expect(svg).to.include(">$15,000</text>");
+  });
+});
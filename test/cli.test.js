@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { parseArguments, buildParams, simulate, formatReport } = require("../cli.js");
+const { runMonteCarlo } = require("../main.js");
+const { summarizeRuns } = require("../analytics.js");
+
+describe("testing the command-line runner", () => {
+  it("confirming flags are read as options and camelCase parameter overrides", () => {
+    //setup
+    const args = ["--runs", "500", "--win-rate=0.55", "--sizing", '{"model":"kelly"}', "--format", "json", "--config", "params.json"];
+
+    //exercise
+    const { options, overrides } = parseArguments(args);
+
+    //verify
+    expect(options).to.include({ format: "json", config: "params.json", help: false });
+    expect(overrides).to.deep.equal({ simulationRuns: 500, winRate: 0.55, sizing: { model: "kelly" } });
+  });
+
+  it("ensuring unknown flags, missing values and unusable params are rejected", () => {
+    //setup
+    const config = { simulationRuns: 100, seed: 1 };
+
+    //exercise
+    const misspelled = () => parseArguments(["--win-rat", "0.5"]);
+    const missingValue = () => parseArguments(["--seed"]);
+    const badFormat = () => parseArguments(["--format", "xml"]);
+    const badSeed = () => buildParams(config, { seed: -1 });
+    const badNumber = () => buildParams(config, { winRate: "high" });
+    const percentage = () => buildParams(config, { winRate: 55 });
+    const badStartDate = () => buildParams(config, { startDate: "2026-13-01" });
+    const regimesWithTradeLog = () =>
+      buildParams({ ...config, regimeModel: { type: "drift", lowWinRate: 0.4, peakWinRate: 0.6 } }, {}, [1.5, -1]);
+
+    //verify
+    expect(misspelled).to.throw("Unknown parameter --win-rat.");
+    expect(missingValue).to.throw("--seed needs a value.");
+    expect(badFormat).to.throw('Unknown format "xml"');
+    expect(badSeed).to.throw("Seed must be a whole number");
+    expect(badNumber).to.throw("winRate must be a number.");
+    expect(percentage).to.throw(
+      "Win rate must be more than 0% and less than 100%. Rates are fractions on the command line: 0.55 for 55%."
+    );
+    expect(badStartDate).to.throw('"2026-13-01" is not a valid start date.');
+    expect(regimesWithTradeLog).to.throw("Market regimes change the win rate and R:R");
+  });
+
+  it("confirming config and flags are merged over the web page defaults", () => {
+    //setup
+    const config = { startingBalance: 10000, sizing: { model: "capped-fractional", maxRisk: 400 }, seed: 5 };
+
+    //exercise
+    const params = buildParams(config, { riskPerTrade: 0.01 }, [1.5, -1]);
+
+    //verify
+    expect(params).to.include({ startingBalance: 10000, riskPerTrade: 0.01, winRate: 0.5, seed: 5 });
+    expect(params.sizing).to.deep.equal({ model: "capped-fractional", maxRisk: 400, fixedRisk: 100 });
+    expect(params.cashFlows.oneOffs).to.deep.equal([]);
+    expect(params.tradeLog).to.deep.equal({ rMultiples: [1.5, -1], blockSize: 1 });
+  });
+
+  it("confirming the calendar time model and trade count flags build the web page's params", () => {
+    //setup
+    const { overrides } = parseArguments([
+      "--start-date", "2026-11-16",
+      "--months", "3",
+      "--vacation-weeks", "52,53",
+      "--market-holidays", "none",
+      "--trade-count", "poisson",
+      "--seed", "1"
+    ]);
+
+    //exercise
+    const params = buildParams({}, overrides);
+
+    //verify
+    expect(params.randomTradeCount).to.be.equal(true);
+    expect(params.tradingMonths).to.deep.equal([
+      { label: "Nov 2026", month: 10, tradingDays: 11 },
+      { label: "Dec 2026", month: 11, tradingDays: 14 },
+      { label: "Jan 2027", month: 0, tradingDays: 20 }
+    ]);
+    expect(params).to.not.have.any.keys("startDate", "tradeCount", "vacationWeeks", "marketHolidays");
+  });
+
+  it("ensuring the JSON report matches the statistics the web page computes", () => {
+    //setup
+    const params = buildParams({ simulationRuns: 200, simulationTimeline: 3, seed: 42 });
+
+    //exercise
+    const report = JSON.parse(formatReport(simulate(params), "json"));
+    const expected = summarizeRuns(runMonteCarlo(params, 200), params);
+
+    //verify
+    const statistic = (name) => report.summary.find((row) => row.statistic === name).value;
+    expect(statistic("Runs")).to.be.equal(200);
+    expect(statistic("Survival Rate")).to.be.equal(expected.survivingCount / 200);
+    expect(statistic("Average Final Balance")).to.be.closeTo(expected.totalAverageBalance, 1e-6);
+    expect(report.percentiles.map((row) => row.percentile)).to.deep.equal([5, 25, 50, 75, 95]);
+    expect(report.outcomeBuckets.reduce((sum, bucket) => sum + bucket.runs, 0)).to.be.equal(200);
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const {
+  toCsv,
+  toJson,
+  monthlyBreakdownRecords,
+  finalBalanceRecords,
+  htmlReport
+} = require("../export.js");
+
+describe("testing the results export", () => {
+  it("confirming JSON writes non-finite numbers as null", () => {
+    //setup
+    const params = { sizing: { model: "fixed", maxRisk: Infinity }, startingBalance: 10000 };
+
+    //exercise
+    const parsed = JSON.parse(toJson(params));
+
+    //verify
+    expect(parsed.sizing.maxRisk).to.be.equal(null);
+    expect(parsed.startingBalance).to.be.equal(10000);
+  });
+
+  it("confirming CSV quotes special characters and leaves missing values empty", () => {
+    //setup
+    const records = [
+      { statistic: "Runs", value: 500 },
+      { statistic: 'Seed, "replayable"', value: Infinity, note: "line\nbreak" }
+    ];
+
+    //exercise
+    const csv = toCsv(records);
+
+    //verify
+    expect(csv.split("\r\n")).to.deep.equal([
+      "statistic,value,note",
+      "Runs,500,",
+      '"Seed, ""replayable""",,"line\nbreak"',
+      ""
+    ]);
+  });
+
+  it("calculating one record per month and every final balance lowest first", () => {
+    //setup
+    const monthlyData = [
+      { grossProfit: 100, fees: 5, expensesDeducted: 50, netProfit: 50, endBalance: 1050 },
+      { label: "Feb 2025", trades: 12, regime: "Bear", grossProfit: -2000, fees: 5, expensesDeducted: 50, netProfit: -2050, endBalance: -1000, ruined: true }
+    ];
+    const balancePoints = [
+      { finalBalance: 300, seed: 3 },
+      { finalBalance: 100, count: 4, seed: 1 }
+    ];
+
+    //exercise
+    const months = monthlyBreakdownRecords(monthlyData);
+    const balances = finalBalanceRecords(balancePoints);
+
+    //verify
+    expect(months[0]).to.include({ month: "Month 1", expenses: 50, endBalance: 1050, ruined: false });
+    expect(months[1]).to.include({ month: "Feb 2025", trades: 12, regime: "Bear", ruined: true });
+    expect(balances).to.deep.equal([
+      { finalBalance: 100, runs: 4, seed: 1 },
+      { finalBalance: 300, runs: 1, seed: 3 }
+    ]);
+  });
+
+  it("ensuring the HTML report is self-contained and escapes its text", () => {
+    //setup
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><rect width="1" height="1"/></svg>';
+
+    //exercise
+    const html = htmlReport({
+      title: "Strategy <A>",
+      sections: [
+        { heading: "Parameters", records: [{ Input: "Win Rate", Value: "50.00%" }] },
+        { heading: "Outcome Distribution", svg }
+      ]
+    });
+
+    //verify
+    expect(html.startsWith("<!DOCTYPE html>")).to.be.equal(true);
+    expect(html).to.include("<title>Strategy &lt;A&gt;</title>");
+    expect(html).to.include("<style>");
+    expect(html).to.not.match(/<(script|link)\b/);
+    expect(html).to.include("<th>Input</th><th>Value</th>");
+    expect(html).to.include("<td>50.00%</td>");
+    expect(html).to.include(svg);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { calculateMonthlyProfit, accumulateProfits, simulateRun } = require("../main.js");
+const { createFeeCalculator, validateFeeModel, describeFeeModel } = require("../fees.js");
+
+describe("testing the fee model", () => {
+  it("calculating each fee component on its own", () => {
+    //setup
+    const amountRisked = 1000;
+
+    //exercise
+    const commission = createFeeCalculator({ commissionPerTrade: 5 })(amountRisked);
+    const perUnit = createFeeCalculator({ costPerUnit: 0.01, riskPerUnit: 0.5 })(amountRisked);
+    const slippageR = createFeeCalculator({ slippageR: 0.05 })(amountRisked);
+    const slippageTicks = createFeeCalculator({ slippageTicks: 1, tickValue: 12.5, riskPerUnit: 250 })(amountRisked);
+    const spread = createFeeCalculator({ spreadPerUnit: 0.02, riskPerUnit: 0.5 })(amountRisked);
+
+    //verify
+    expect(commission).to.be.equal(5);
+    expect(perUnit).to.be.closeTo(40, 1e-9); // 2,000 shares, entry and exit
+    expect(slippageR).to.be.closeTo(50, 1e-9);
+    expect(slippageTicks).to.be.closeTo(100, 1e-9); // 4 contracts, a tick each side
+    expect(spread).to.be.closeTo(40, 1e-9);
+  });
+
+  it("confirming the fee components add together with the flat fee percentage", () => {
+    //setup
+    const calculateFees = createFeeCalculator({
+      feeAsPercentageOfRisk: 0.01,
+      commissionPerTrade: 5,
+      slippageR: 0.05,
+    });
+
+    //exercise
+    const fees = calculateFees(1000);
+    const skippedTradeFees = calculateFees(0);
+
+    //verify
+    expect(fees).to.be.closeTo(65, 1e-9);
+    expect(skippedTradeFees).to.be.equal(0);
+  });
+
+  it("ensuring calculateMonthlyProfit charges and records the fee model", () => {
+    //setup
+    const calculateFees = createFeeCalculator({ commissionPerTrade: 10 });
+    const state = {};
+    let expectedBalance = 10000;
+    for (let i = 0; i < 4; i++) {
+      expectedBalance += expectedBalance * 0.01 * 2 - 10;
+    }
+
+    //exercise
+    const profit = calculateMonthlyProfit(10000, 0.01, 1, 1, 2, 0.5, { calculateFees, state });
+
+    //verify
+    expect(state.monthlyFees).to.be.equal(40);
+    expect(profit).to.be.closeTo(expectedBalance - 10000, 1e-6);
+  });
+
+  it("confirming accumulateProfits and simulateRun track fees per month and per run", () => {
+    //setup
+    const params = {
+      startingBalance: 10000,
+      riskPerTrade: 0.01,
+      tradesPerWeek: 1,
+      winRate: 1,
+      riskToReward: 2,
+      totalMonthlyExpenses: 0,
+      expensesBegin: 0,
+      simulationTimeline: 3,
+      myFeePercentage: 0,
+      feeModel: { commissionPerTrade: 10 },
+    };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 1, 1, 2, 0, 0, 3, 0, { feeModel: params.feeModel });
+    const run = simulateRun(params, 1);
+
+    //verify
+    months.forEach((month) => expect(month.fees).to.be.equal(40));
+    expect(run.totalFees).to.be.equal(120);
+  });
+
+  it("ensuring per-unit costs without the risk per unit are rejected", () => {
+    //setup
+    const feeModel = { costPerUnit: 0.01 };
+
+    //exercise
+    const error = validateFeeModel(feeModel);
+
+    //verify
+    expect(error).to.be.a("string");
+    expect(validateFeeModel({ costPerUnit: 0.01, riskPerUnit: 0.5 })).to.be.equal(null);
+    expect(describeFeeModel({ commissionPerTrade: 5 })).to.be.equal("$5 commission per trade");
+  });
+});
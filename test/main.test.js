@@ -1,5 +1,15 @@
 const { expect } = require("chai");
-const { calculateMonthlyProfit, accumulateProfits, runMonteCarlo } = require("../main.js");
+const {
+  calculateMonthlyProfit,
+  accumulateProfits,
+  runMonteCarlo,
+  createRandom,
+  deriveRunSeed,
+  measureDrawdowns,
+  withdrawForMonth,
+  runMonteCarloAggregate,
+  simulateRun,
+} = require("../main.js");
 
 describe("testing the components of the calculateMonthlyProfit function", () => {
   it("calculating profit after period of 100% successful trading", () => {
@@ -530,3 +540,427 @@ it("confirming the survival component of the runMonteCarlo function is accurate"
     expect(nonSurvivingRate).to.be.equal(0);
 });
 });
+
+describe("testing the seeded random number generator", () => {
+  it("confirming the same seed produces the same sequence of values", () => {
+    //setup
+    const firstRandom = createRandom(12345);
+    const secondRandom = createRandom(12345);
+
+    //exercise
+    const firstSequence = Array.from({ length: 5 }, () => firstRandom());
+    const secondSequence = Array.from({ length: 5 }, () => secondRandom());
+
+    //verify
+    expect(firstSequence).to.deep.equal(secondSequence);
+    for (const value of firstSequence) {
+      expect(value).to.be.at.least(0);
+      expect(value).to.be.lessThan(1);
+    }
+  });
+
+  it("confirming runMonteCarlo returns identical results for the same seed", () => {
+    //setup
+    const params = {
+      startingBalance: 5000,
+      riskPerTrade: 0.02,
+      tradesPerWeek: 5,
+      riskToReward: 2,
+      expensesBegin: 0,
+      totalMonthlyExpenses: 0,
+      simulationTimeline: 12,
+      myFeePercentage: 0.03,
+      winRate: 0.5,
+      seed: 42,
+    };
+
+    //exercise
+    const firstResults = runMonteCarlo(params, 50);
+    const secondResults = runMonteCarlo(params, 50);
+    const otherSeedResults = runMonteCarlo({ ...params, seed: 43 }, 50);
+
+    //verify
+    expect(firstResults.map((run) => run.finalBalance)).to.deep.equal(
+      secondResults.map((run) => run.finalBalance)
+    );
+    expect(firstResults.map((run) => run.finalBalance)).to.not.deep.equal(
+      otherSeedResults.map((run) => run.finalBalance)
+    );
+  });
+
+  it("confirming a single run can be replayed from its recorded seed", () => {
+    //setup
+    const params = {
+      startingBalance: 5000,
+      riskPerTrade: 0.02,
+      tradesPerWeek: 5,
+      riskToReward: 2,
+      expensesBegin: 0,
+      totalMonthlyExpenses: 0,
+      simulationTimeline: 12,
+      myFeePercentage: 0.03,
+      winRate: 0.5,
+      seed: 7,
+    };
+    const results = runMonteCarlo(params, 10);
+
+    //exercise
+    const replayedRun = accumulateProfits(
+      params.startingBalance,
+      params.riskPerTrade,
+      params.tradesPerWeek,
+      params.winRate,
+      params.riskToReward,
+      params.totalMonthlyExpenses,
+      params.expensesBegin,
+      params.simulationTimeline,
+      params.myFeePercentage,
+      { random: createRandom(results[3].seed) }
+    );
+
+    //verify
+    expect(results[3].seed).to.be.equal(deriveRunSeed(7, 3));
+    expect(replayedRun).to.deep.equal(results[3].monthlyData);
+  });
+});
+
+describe("testing runMonteCarlo batching for the worker pool", () => {
+  const params = {
+    startingBalance: 5000,
+    riskPerTrade: 0.02,
+    tradesPerWeek: 5,
+    riskToReward: 2,
+    expensesBegin: 0,
+    totalMonthlyExpenses: 0,
+    simulationTimeline: 6,
+    myFeePercentage: 0.03,
+    winRate: 0.5,
+    seed: 2024,
+  };
+
+  it("confirming batches split with firstRun match a single pass", () => {
+    //exercise
+    const singlePass = runMonteCarlo(params, 30);
+    const splitPasses = [
+      ...runMonteCarlo(params, 10, { firstRun: 0 }),
+      ...runMonteCarlo(params, 20, { firstRun: 10 }),
+    ];
+
+    //verify
+    expect(splitPasses).to.deep.equal(singlePass);
+  });
+
+  it("confirming onProgress reports every completed run by the end of the batch", () => {
+    //setup
+    const progressUpdates = [];
+
+    //exercise
+    runMonteCarlo(params, 250, {
+      onProgress: (completedRuns) => progressUpdates.push(completedRuns),
+    });
+
+    //verify
+    expect(progressUpdates[progressUpdates.length - 1]).to.be.equal(250);
+    expect(progressUpdates.length).to.be.equal(125);
+  });
+});
+
+describe("testing the measureDrawdowns function", () => {
+  it("calculating max drawdown, longest drawdown and recovery time of a run", () => {
+    //setup
+    const monthlyData = [
+      { endBalance: 12000 },
+      { endBalance: 9000 },
+      { endBalance: 6000 },
+      { endBalance: 10000 },
+      { endBalance: 12500 },
+      { endBalance: 11000 },
+    ];
+
+    //exercise
+    const drawdowns = measureDrawdowns(monthlyData, 10000);
+
+    //verify
+    expect(drawdowns.maxDrawdown).to.be.equal(0.5);
+    expect(drawdowns.longestDrawdownMonths).to.be.equal(3);
+    expect(drawdowns.recoveryMonths).to.be.equal(2);
+  });
+
+  it("ensuring an unrecovered or ruined run reports no recovery and a 100% drawdown cap", () => {
+    //setup
+    const monthlyData = [{ endBalance: 4000 }, { endBalance: -250 }];
+
+    //exercise
+    const drawdowns = measureDrawdowns(monthlyData, 5000);
+
+    //verify
+    expect(drawdowns.maxDrawdown).to.be.equal(1);
+    expect(drawdowns.longestDrawdownMonths).to.be.equal(2);
+    expect(drawdowns.recoveryMonths).to.be.equal(null);
+  });
+
+  it("ensuring a salary withdrawn in a month without trades is an account drawdown, not a trading one", () => {
+    //setup
+    const tradingMonths = [
+      { label: "Jan 2025", month: 0, tradingDays: 20 },
+      { label: "Feb 2025", month: 1, tradingDays: 0 },
+      { label: "Mar 2025", month: 2, tradingDays: 20 },
+    ];
+    const withdrawalPolicy = { type: "salary", amount: 2000, minimumBalance: 0 };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 5, 1, 2, 0, 0, 3, 0, {
+      tradingMonths,
+      withdrawalPolicy,
+    });
+    const drawdowns = measureDrawdowns(months, 10000);
+    const tradingDrawdowns = measureDrawdowns(months, 10000, { trading: true });
+
+    //verify
+    expect(months[1].withdrawal).to.be.equal(2000);
+    expect(months[1].tradingEquity).to.be.equal(months[0].tradingEquity);
+    expect(drawdowns.maxDrawdown).to.be.closeTo(2000 / months[0].endBalance, 1e-12);
+    expect(drawdowns.longestDrawdownMonths).to.be.at.least(1);
+    expect(tradingDrawdowns).to.deep.equal({
+      maxDrawdown: 0,
+      longestDrawdownMonths: 0,
+      recoveryMonths: null,
+    });
+  });
+
+  it("calculating a trough reached by the trades inside a month", () => {
+    //setup
+    const monthlyData = [
+      { endBalance: 11000, lowBalance: 8000, tradingEquity: 11000, tradingLow: 9000 },
+      { endBalance: 12000, lowBalance: 11000, tradingEquity: 12000, tradingLow: 11000 },
+    ];
+
+    //exercise
+    const drawdowns = measureDrawdowns(monthlyData, 10000);
+    const tradingDrawdowns = measureDrawdowns(monthlyData, 10000, { trading: true });
+
+    //verify
+    expect(drawdowns.maxDrawdown).to.be.closeTo(0.2, 1e-12);
+    expect(drawdowns.longestDrawdownMonths).to.be.equal(0);
+    expect(drawdowns.recoveryMonths).to.be.equal(0);
+    expect(tradingDrawdowns.maxDrawdown).to.be.closeTo(0.1, 1e-12);
+  });
+
+  it("ensuring expenses that drain a flat account to ruin are a full drawdown", () => {
+    //setup
+    const params = {
+      startingBalance: 3000,
+      riskPerTrade: 0.01,
+      tradesPerWeek: 5,
+      riskToReward: 2,
+      expensesBegin: 1,
+      totalMonthlyExpenses: 1000,
+      simulationTimeline: 6,
+      myFeePercentage: 0,
+      winRate: 0.5,
+      tradingMonths: Array.from({ length: 6 }, (_, month) => ({ label: `M${month}`, month, tradingDays: 0 })),
+    };
+
+    //exercise
+    const run = simulateRun(params, 1);
+
+    //verify
+    expect(run.ruined).to.be.equal(true);
+    expect(run.maxDrawdown).to.be.equal(1);
+    expect(run.tradingMaxDrawdown).to.be.equal(0);
+  });
+
+  it("confirming runMonteCarlo records drawdown metrics for every run", () => {
+    //setup
+    const params = {
+      startingBalance: 5000,
+      riskPerTrade: 0.02,
+      tradesPerWeek: 5,
+      riskToReward: 2,
+      expensesBegin: 0,
+      totalMonthlyExpenses: 0,
+      simulationTimeline: 12,
+      myFeePercentage: 0.03,
+      winRate: 0.5,
+      seed: 11,
+    };
+
+    //exercise
+    const results = runMonteCarlo(params, 20);
+
+    //verify
+    for (const run of results) {
+      expect(run.maxDrawdown).to.be.within(0, 1);
+      expect(run.longestDrawdownMonths).to.be.within(0, 12);
+      expect(run).to.have.property("recoveryMonths");
+    }
+  });
+});
+
+describe("testing the ruin level and circuit breakers", () => {
+  it("ensuring the monthly loss limit stops trading for the rest of the month", () => {
+    //setup
+    const state = {};
+
+    //exercise
+    const loss = calculateMonthlyProfit(5000, 0.1, 1, 0, 2, 0, {
+      monthlyLossLimit: 0.15,
+      state,
+    });
+
+    //verify
+    expect(loss).to.be.closeTo(5000 * 0.9 * 0.9 - 5000, 0.0001);
+    expect(state.monthlyLossLimitHit).to.be.equal(true);
+  });
+
+  it("calculating the reduced risk after a streak of consecutive losses", () => {
+    //exercise
+    const loss = calculateMonthlyProfit(5000, 0.1, 1, 0, 2, 0, {
+      lossStreakLimit: 2,
+      lossStreakRiskFactor: 0.5,
+    });
+
+    //verify
+    expect(loss).to.be.closeTo(5000 * 0.9 * 0.9 * 0.95 * 0.95 - 5000, 0.0001);
+  });
+
+  it("ensuring accumulateProfits stops and marks the month ruined at the minimum balance", () => {
+    //exercise
+    const resultsArray = accumulateProfits(5000, 0.1, 1, 0, 2, 0, 0, 12, 0, {
+      ruinBalance: 3000,
+    });
+
+    //verify
+    const finalMonth = resultsArray[resultsArray.length - 1];
+    expect(finalMonth.ruined).to.be.equal(true);
+    expect(finalMonth.endBalance).to.be.at.most(3000);
+    expect(resultsArray.length).to.be.lessThan(12);
+  });
+
+  it("confirming runMonteCarlo treats a run that hits the max drawdown as ruined", () => {
+    //setup
+    const params = {
+      startingBalance: 5000,
+      riskPerTrade: 0.05,
+      tradesPerWeek: 5,
+      riskToReward: 1,
+      expensesBegin: 0,
+      totalMonthlyExpenses: 0,
+      simulationTimeline: 12,
+      myFeePercentage: 0.03,
+      winRate: 0.45,
+      seed: 21,
+      ruinDrawdown: 0.3,
+    };
+
+    //exercise
+    const results = runMonteCarlo(params, 200);
+
+    //verify
+    for (const run of results) {
+      expect(run.survived).to.be.equal(!run.ruined);
+      if (run.ruined) {
+        expect(run.maxDrawdown).to.be.at.least(0.3);
+      } else {
+        expect(run.maxDrawdown).to.be.lessThan(0.3);
+      }
+    }
+    expect(results.some((run) => run.ruined && run.finalBalance > 0)).to.be.equal(true);
+  });
+});
+
+describe("testing the withdrawal policies", () => {
+  it("calculating a percentage of each profitable month's net profit", () => {
+    //setup
+    const policy = { type: "percent-of-profit", percent: 0.25 };
+
+    //exercise
+    const profitable = withdrawForMonth(policy, 2000, 12000, {});
+    const losing = withdrawForMonth(policy, -500, 11500, {});
+
+    //verify
+    expect(profitable).to.be.equal(500);
+    expect(losing).to.be.equal(0);
+  });
+
+  it("ensuring the high-water mark policy only withdraws new highs", () => {
+    //setup
+    const policy = { type: "high-water-mark", percent: 1 };
+    const state = { highWaterMark: 10000 };
+
+    //exercise
+    const withdrawals = [12000, 9000, 11000, 13000].map((balance) =>
+      withdrawForMonth(policy, 0, balance, state)
+    );
+
+    //verify
+    expect(withdrawals).to.deep.equal([2000, 0, 1000, 3000]);
+    expect(state.highWaterMark).to.be.equal(10000);
+  });
+
+  it("ensuring deposits without trading profit are never withdrawn above the high-water mark", () => {
+    //setup
+    const tradingMonths = Array.from({ length: 4 }, (_, month) => ({ label: `M${month}`, month, tradingDays: 0 }));
+    const policy = { type: "high-water-mark", percent: 0.5 };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 5, 0.5, 2, 0, 0, 4, 0, {
+      tradingMonths,
+      cashFlows: { monthlyDeposit: 1000 },
+      withdrawalPolicy: policy,
+    });
+    const state = { highWaterMark: 10000 };
+    const afterDeposit = withdrawForMonth(policy, 500, 11500, state, 1000);
+
+    //verify
+    expect(months.map((month) => month.withdrawal)).to.deep.equal([0, 0, 0, 0]);
+    expect(months[3].endBalance).to.be.equal(14000);
+    expect(afterDeposit).to.be.equal(250);
+    expect(state.highWaterMark).to.be.equal(11250);
+  });
+
+  it("ensuring the salary is skipped in losing months and respects the minimum balance", () => {
+    //setup
+    const policy = { type: "salary", amount: 3000, minimumBalance: 10000 };
+
+    //exercise
+    const paid = withdrawForMonth(policy, 100, 20000, {});
+    const losingMonth = withdrawForMonth(policy, -100, 20000, {});
+    const nearFloor = withdrawForMonth(policy, 100, 11000, {});
+
+    //verify
+    expect(paid).to.be.equal(3000);
+    expect(losingMonth).to.be.equal(0);
+    expect(nearFloor).to.be.equal(1000);
+  });
+
+  it("confirming runs report their total withdrawn and count it as profit", () => {
+    //setup
+    const params = {
+      startingBalance: 10000,
+      riskPerTrade: 0.01,
+      tradesPerWeek: 2,
+      winRate: 0.6,
+      riskToReward: 2,
+      totalMonthlyExpenses: 0,
+      expensesBegin: 0,
+      simulationTimeline: 12,
+      myFeePercentage: 0,
+      seed: 21,
+      withdrawalPolicy: { type: "percent-of-profit", percent: 1 },
+    };
+
+    //exercise
+    const results = runMonteCarlo(params, 50);
+    const aggregate = runMonteCarloAggregate(params, 50);
+
+    //verify
+    for (const run of results) {
+      const monthlyTotal = run.monthlyData.reduce((sum, month) => sum + month.withdrawal, 0);
+      expect(run.totalWithdrawn).to.be.closeTo(monthlyTotal, 1e-6);
+      expect(run.finalBalance).to.be.at.most(params.startingBalance);
+    }
+    expect(aggregate.totalWithdrawn.count).to.be.equal(50);
+    expect(aggregate.profitable).to.be.greaterThan(0);
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { calculateMonthlyProfit, runMonteCarlo, createRandom } = require("../main.js");
+const {
+  presetOutcomeTable,
+  parseOutcomeTable,
+  validateOutcomeModel,
+  createOutcomeSampler,
+  summarizeOutcomeModel,
+} = require("../outcomes.js");
+
+describe("testing the trade outcome distributions", () => {
+  it("confirming an outcome table is parsed from percentages or fractions", () => {
+    //setup
+    const text = "35%, 2.5\n0.15, 0\n\n45%, -1\n5%, -2";
+
+    //exercise
+    const model = parseOutcomeTable(text);
+
+    //verify
+    expect(model.outcomes).to.deep.equal([
+      { probability: 0.35, rMultiple: 2.5 },
+      { probability: 0.15, rMultiple: 0 },
+      { probability: 0.45, rMultiple: -1 },
+      { probability: 0.05, rMultiple: -2 },
+    ]);
+    expect(validateOutcomeModel(model)).to.be.equal(null);
+  });
+
+  it("ensuring a table that does not add up to 100% is rejected", () => {
+    //setup
+    const model = parseOutcomeTable("50%, 2\n40%, -1");
+
+    //exercise
+    const error = validateOutcomeModel(model);
+
+    //verify
+    expect(error).to.include("100%");
+    expect(() => parseOutcomeTable("50%, two")).to.throw("Line 1");
+  });
+
+  it("confirming table sampling follows the outcome probabilities", () => {
+    //setup
+    const model = parseOutcomeTable("50%, 2\n25%, 0\n25%, -1");
+    const sampleTrade = createOutcomeSampler(model, createRandom(42));
+
+    //exercise
+    const draws = Array.from({ length: 20000 }, () => sampleTrade());
+    const share = (r) => draws.filter((draw) => draw === r).length / draws.length;
+
+    //verify
+    expect(share(2)).to.be.closeTo(0.5, 0.02);
+    expect(share(0)).to.be.closeTo(0.25, 0.02);
+    expect(share(-1)).to.be.closeTo(0.25, 0.02);
+  });
+
+  it("calculating the mean of parametric winners and losers", () => {
+    //setup
+    const model = {
+      type: "parametric",
+      winRate: 0.5,
+      winMeanR: 2,
+      winStdDevR: 1,
+      lossMeanR: 1,
+      lossStdDevR: 0.5,
+    };
+    const sampleTrade = createOutcomeSampler(model, createRandom(7));
+
+    //exercise
+    const draws = Array.from({ length: 40000 }, () => sampleTrade());
+    const winners = draws.filter((draw) => draw > 0);
+    const losers = draws.filter((draw) => draw < 0);
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    //verify
+    expect(average(winners)).to.be.closeTo(2, 0.05);
+    expect(average(losers)).to.be.closeTo(-1, 0.05);
+    expect(losers.some((loss) => loss < -1.5)).to.be.equal(true);
+  });
+
+  it("confirming the win rate and R:R preset matches the plain binary simulation", () => {
+    //setup
+    const params = {
+      startingBalance: 10000,
+      riskPerTrade: 0.01,
+      tradesPerWeek: 5,
+      winRate: 1,
+      riskToReward: 2,
+      totalMonthlyExpenses: 0,
+      expensesBegin: 0,
+      simulationTimeline: 3,
+      myFeePercentage: 0,
+      seed: 5,
+    };
+
+    //exercise
+    const [binaryRun] = runMonteCarlo(params, 1);
+    const [presetRun] = runMonteCarlo({ ...params, outcomeModel: presetOutcomeTable(1, 2) }, 1);
+
+    //verify
+    expect(presetRun.finalBalance).to.be.closeTo(binaryRun.finalBalance, 1e-6);
+    expect(summarizeOutcomeModel(presetOutcomeTable(0.4, 2)).expectancyR).to.be.closeTo(0.2, 1e-9);
+  });
+
+  it("ensuring calculateMonthlyProfit samples scratches from the outcome table", () => {
+    //setup
+    const model = parseOutcomeTable("100%, 0");
+    const sampleTrade = createOutcomeSampler(model, createRandom(1));
+
+    //exercise
+    const profit = calculateMonthlyProfit(10000, 0.02, 5, 0.5, 2, 0, { sampleTrade });
+
+    //verify
+    expect(profit).to.be.equal(0);
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { encodeFormState, decodeFormState, createPresetStore } = require("../presets.js");
+
+// In-memory stand-in for localStorage.
+const createStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+describe("testing the URL state and presets", () => {
+  it("confirming form values survive a round trip through the URL", () => {
+    //setup
+    const values = { "win-rate": "55", "outcome-table": "35%, 2.5\n65%, -1", seed: "", "risk-to-reward": "2" };
+
+    //exercise
+    const query = encodeFormState(values);
+    const restored = decodeFormState(`?${query}&retired-field=1`, ["win-rate", "outcome-table", "seed", "risk-to-reward"]);
+
+    //verify
+    expect(query).to.not.include("seed");
+    expect(restored).to.deep.equal({ "win-rate": "55", "outcome-table": "35%, 2.5\n65%, -1", "risk-to-reward": "2" });
+  });
+
+  it("confirming presets are saved, renamed and deleted in storage", () => {
+    //setup
+    const storage = createStorage();
+    const store = createPresetStore(storage);
+
+    //exercise
+    store.save("  Scalper ", { "win-rate": 60 });
+    store.save("Swing", { "win-rate": "45" });
+    store.rename("Scalper", "Day Trader");
+    store.remove("Swing");
+    const reopened = createPresetStore(storage);
+
+    //verify
+    expect(reopened.list()).to.deep.equal(["Day Trader"]);
+    expect(reopened.get("Day Trader")).to.deep.equal({ "win-rate": "60" });
+  });
+
+  it("ensuring missing, blank and taken preset names are rejected", () => {
+    //setup
+    const store = createPresetStore(createStorage());
+    store.save("A", {});
+    store.save("B", {});
+
+    //exercise
+    const saveBlank = () => store.save(" ", {});
+    const renameOntoTaken = () => store.rename("A", "B");
+    const removeMissing = () => store.remove("C");
+
+    //verify
+    expect(saveBlank).to.throw("A preset needs a name.");
+    expect(renameOntoTaken).to.throw('A preset named "B" already exists.');
+    expect(removeMissing).to.throw('There is no preset named "C".');
+    expect(store.list()).to.deep.equal(["A", "B"]);
+  });
+
+  it("confirming names of built-in object properties are ordinary preset names", () => {
+    //setup
+    const storage = createStorage();
+    const store = createPresetStore(storage);
+
+    //exercise
+    store.save("constructor", { "win-rate": "55" });
+    store.save("__proto__", { "win-rate": "45" });
+    store.rename("constructor", "toString");
+    const getMissing = () => store.get("hasOwnProperty");
+    const reopened = createPresetStore(storage);
+
+    //verify
+    expect(getMissing).to.throw('There is no preset named "hasOwnProperty".');
+    expect(reopened.list()).to.deep.equal(["__proto__", "toString"]);
+    expect(reopened.get("__proto__")).to.deep.equal({ "win-rate": "45" });
+    expect(reopened.get("toString")).to.deep.equal({ "win-rate": "55" });
+  });
+
+  it("confirming presets export and import as JSON, rejecting malformed files", () => {
+    //setup
+    const source = createPresetStore(createStorage());
+    source.save("Shared", { "risk-to-reward": "3" });
+    const target = createPresetStore(createStorage({ tradeSimulatorPresets: "not json" }));
+
+    //exercise
+    const names = target.importJson(source.exportJson());
+
+    //verify
+    expect(names).to.deep.equal(["Shared"]);
+    expect(target.get("Shared")).to.deep.equal({ "risk-to-reward": "3" });
+    expect(() => target.importJson("{")).to.throw("The presets file is not valid JSON.");
+    expect(() => target.importJson('{"presets": []}')).to.throw("Presets must be an object of named form values.");
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { runMonteCarlo, createRandom } = require("../main.js");
+const {
+  createRegimeSequence,
+  createDefaultRegimes,
+  validateRegimeModel,
+  DEFAULT_TRANSITIONS,
+} = require("../regimes.js");
+
+describe("testing the market regime engine", () => {
+  it("confirming a markov model follows its transition matrix", () => {
+    //setup
+    const model = {
+      type: "markov",
+      regimes: [
+        { name: "Trending", winRate: 0.6, riskToReward: 2.5 },
+        { name: "Choppy", winRate: 0.4, riskToReward: 1.5 },
+      ],
+      transitions: [
+        [0, 1],
+        [1, 0],
+      ],
+    };
+    const nextMonth = createRegimeSequence(model, createRandom(1));
+
+    //exercise
+    const names = Array.from({ length: 6 }, () => nextMonth().name);
+
+    //verify
+    for (let i = 1; i < names.length; i++) {
+      expect(names[i]).to.not.be.equal(names[i - 1]);
+    }
+  });
+
+  it("ensuring the drift model keeps the win rate between the low and peak win rates", () => {
+    //setup
+    const model = {
+      type: "drift",
+      lowWinRate: 0.4,
+      peakWinRate: 0.6,
+      riskToReward: 2,
+      volatility: 2,
+    };
+    const nextMonth = createRegimeSequence(model, createRandom(99));
+
+    //exercise
+    const months = Array.from({ length: 200 }, () => nextMonth());
+
+    //verify
+    for (const month of months) {
+      expect(month.winRate).to.be.within(0.4, 0.6);
+      expect(["Low", "Neutral", "Peak"]).to.include(month.name);
+    }
+  });
+
+  it("confirming validateRegimeModel rejects transition rows that do not add up to 100%", () => {
+    //setup
+    const goodModel = {
+      type: "markov",
+      regimes: createDefaultRegimes(0.5, 2),
+      transitions: DEFAULT_TRANSITIONS,
+    };
+    const badModel = {
+      ...goodModel,
+      transitions: [
+        [0.5, 0.2, 0.1],
+        [0.2, 0.6, 0.2],
+        [0.15, 0.35, 0.5],
+      ],
+    };
+
+    //exercise
+    const goodResult = validateRegimeModel(goodModel);
+    const badResult = validateRegimeModel(badModel);
+
+    //verify
+    expect(goodResult).to.be.equal(null);
+    expect(badResult).to.be.a("string");
+  });
+
+  it("confirming runMonteCarlo reports the months spent in each regime", () => {
+    //setup
+    const params = {
+      startingBalance: 5000,
+      riskPerTrade: 0.02,
+      tradesPerWeek: 5,
+      riskToReward: 2,
+      expensesBegin: 0,
+      totalMonthlyExpenses: 0,
+      simulationTimeline: 24,
+      myFeePercentage: 0.03,
+      winRate: 0.5,
+      seed: 5,
+      regimeModel: {
+        type: "markov",
+        regimes: createDefaultRegimes(0.5, 2),
+        transitions: DEFAULT_TRANSITIONS,
+      },
+    };
+
+    //exercise
+    const results = runMonteCarlo(params, 20);
+
+    //verify
+    for (const run of results) {
+      const totalMonths = Object.values(run.regimeMonths).reduce(
+        (sum, months) => sum + months,
+        0
+      );
+      expect(totalMonths).to.be.equal(run.monthlyData.length);
+      expect(run.monthlyData[0]).to.have.property("regime");
+    }
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { calculateMonthlyProfit, accumulateProfits } = require("../main.js");
+const {
+  kellyFraction,
+  optimalFraction,
+  tradeOutcomes,
+  createPositionSizer,
+  describeSizing,
+} = require("../sizing.js");
+
+describe("testing the position sizing models", () => {
+  it("calculating the full Kelly fraction from win rate and R:R", () => {
+    //setup
+    const winRate = 0.5;
+    const riskToReward = 2;
+
+    //exercise
+    const fraction = kellyFraction(winRate, riskToReward);
+
+    //verify
+    expect(fraction).to.be.closeTo(0.25, 1e-9);
+  });
+
+  it("confirming optimal f matches Kelly for a simple win/loss strategy", () => {
+    //setup
+    const outcomes = tradeOutcomes(0.5, 2);
+
+    //exercise
+    const fraction = optimalFraction(outcomes);
+
+    //verify
+    expect(fraction).to.be.closeTo(0.25, 0.001);
+  });
+
+  it("ensuring optimal f is scaled by the largest loss of a trade log", () => {
+    //setup
+    const outcomes = tradeOutcomes(0, 0, [4, -2, 4, -2]);
+
+    //exercise
+    const fraction = optimalFraction(outcomes);
+
+    //verify
+    expect(fraction).to.be.closeTo(0.125, 0.001);
+  });
+
+  it("ensuring fixed dollar risk never risks more than the balance", () => {
+    //setup
+    const sizePosition = createPositionSizer({ model: "fixed-dollar", fixedRisk: 500 }, 0.02);
+
+    //exercise
+    const fullRisk = sizePosition(10000, { state: {} });
+    const cappedRisk = sizePosition(300, { state: {} });
+
+    //verify
+    expect(fullRisk).to.be.equal(500);
+    expect(cappedRisk).to.be.equal(300);
+  });
+
+  it("ensuring capped fractional risk stays between the dollar caps", () => {
+    //setup
+    const sizePosition = createPositionSizer(
+      { model: "capped-fractional", minRisk: 100, maxRisk: 1000 },
+      0.02
+    );
+
+    //exercise
+    const risks = [1000, 25000, 100000].map((balance) => sizePosition(balance, { state: {} }));
+
+    //verify
+    expect(risks).to.deep.equal([100, 500, 1000]);
+  });
+
+  it("ensuring fractional Kelly risks nothing without an edge", () => {
+    //setup
+    const sizePosition = createPositionSizer({ model: "kelly", kellyMultiplier: 0.5 }, 0.02);
+
+    //exercise
+    const withEdge = sizePosition(10000, { winRate: 0.5, riskToReward: 2, state: {} });
+    const withoutEdge = sizePosition(10000, { winRate: 0.3, riskToReward: 1, state: {} });
+
+    //verify
+    expect(withEdge).to.be.closeTo(1250, 1e-6);
+    expect(withoutEdge).to.be.equal(0);
+  });
+
+  it("calculating Kelly sizing from a trade log's outcomes instead of the form's win rate", () => {
+    //setup
+    // The log wins half its trades at 2R, but the form says 30% at 2R: no edge.
+    const tradeLog = { rMultiples: [2, -1, 2, -1], blockSize: 1 };
+    const tradingMonths = [{ label: "Jan 2026", month: 0, tradingDays: 1 }];
+    const sizing = { model: "kelly", kellyMultiplier: 0.5 };
+
+    //exercise
+    const [month] = accumulateProfits(10000, 0.02, 5, 0.3, 2, 0, 0, 1, 0, {
+      tradeLog,
+      sizing,
+      tradingMonths,
+      random: () => 0,
+    });
+    const sizePosition = createPositionSizer({ ...sizing, fullKelly: 0.25 }, 0.02);
+
+    //verify
+    // Half of the log's full Kelly (25%) risks $1,250 on the single 2R winner.
+    expect(month.grossProfit).to.be.closeTo(2500, 1);
+    expect(sizePosition(10000, { winRate: 0.3, riskToReward: 2, state: {} })).to.be.closeTo(1250, 1e-6);
+  });
+
+  it("calculating anti-martingale step-ups after consecutive wins", () => {
+    //setup
+    const sizePosition = createPositionSizer(
+      { model: "anti-martingale", stepUpFactor: 2, maxStepUps: 2 },
+      0.01
+    );
+
+    //exercise
+    const risks = [0, 1, 2, 5].map((wins) => sizePosition(10000, { state: { consecutiveWins: wins } }));
+
+    //verify
+    expect(risks).to.deep.equal([100, 200, 400, 400]);
+  });
+
+  it("confirming calculateMonthlyProfit uses the sizing model and tracks the win streak", () => {
+    //setup
+    const sizePosition = createPositionSizer({ model: "fixed-dollar", fixedRisk: 100 }, 0.5);
+    const state = {};
+
+    //exercise
+    const profit = calculateMonthlyProfit(10000, 0.5, 1, 1, 2, 0, { sizePosition, state });
+
+    //verify
+    expect(profit).to.be.equal(800);
+    expect(state.consecutiveWins).to.be.equal(4);
+  });
+
+  it("confirming accumulateProfits works out optimal f when it is not given", () => {
+    //setup
+    const sizing = { model: "optimal-f" };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.02, 1, 1, 2, 0, 0, 1, 0, { sizing });
+
+    //verify
+    // A 100% win rate has no losing trades to size optimal f from.
+    expect(months[0].endBalance).to.be.equal(10000);
+  });
+
+  it("ensuring describeSizing names the chosen model", () => {
+    //setup
+    const sizing = { model: "kelly", kellyMultiplier: 0.25 };
+
+    //exercise
+    const description = describeSizing(sizing, 0.02);
+
+    //verify
+    expect(description).to.be.equal("Fractional Kelly (25% of full Kelly)");
+    expect(describeSizing(undefined, 0.02)).to.be.equal("Fixed Fractional (2% of balance)");
+  });
+});
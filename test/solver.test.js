@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { solveForParameter, validateGoal } = require("../solver.js");
+const { createRandom } = require("../main.js");
+
+// Fake simulation whose survival rate follows a chosen function of the params.
+const fakeSimulation = (survivalRate) => (params, runs) => {
+  const survivors = Math.round(survivalRate(params) * runs);
+  return Array.from({ length: runs }, (_, i) => ({
+    finalBalance: params.startingBalance,
+    survived: i < survivors,
+    ruined: i >= survivors
+  }));
+};
+
+describe("testing the goal-seek solver", () => {
+  const params = {
+    startingBalance: 10000,
+    riskPerTrade: 0.01,
+    tradesPerWeek: 5,
+    winRate: 0.5,
+    riskToReward: 2,
+    totalMonthlyExpenses: 0,
+    expensesBegin: 0,
+    simulationTimeline: 6,
+    myFeePercentage: 0,
+    seed: 42
+  };
+
+  it("calculating the minimum win rate that reaches a rising metric's target", async () => {
+    //setup
+    const simulate = fakeSimulation((p) => p.winRate);
+
+    //exercise
+    const result = await solveForParameter(
+      params,
+      { parameter: "winRate", metric: "survivalRate", target: 0.7, runs: 10000, seeds: 2 },
+      { simulate }
+    );
+
+    //verify
+    expect(result.value).to.be.closeTo(0.7, 0.001);
+    expect(result.band[0]).to.be.at.most(result.value);
+    expect(result.band[1]).to.be.at.least(result.value);
+    expect(result.unreachable).to.be.equal(0);
+  });
+
+  it("calculating the maximum affordable expenses when the metric falls", async () => {
+    //setup
+    const simulate = fakeSimulation((p) => 1 - p.totalMonthlyExpenses / p.startingBalance);
+
+    //exercise
+    const result = await solveForParameter(
+      params,
+      { parameter: "totalMonthlyExpenses", metric: "survivalRate", target: 0.9, runs: 10000, seeds: 1 },
+      { simulate }
+    );
+
+    //verify
+    expect(result.value).to.be.closeTo(1000, 5);
+    expect(result.value).to.be.at.most(1000);
+  });
+
+  it("ensuring a target outside the searched range is reported as unreachable", async () => {
+    //setup
+    const simulate = fakeSimulation(() => 0.5);
+
+    //exercise
+    const result = await solveForParameter(
+      params,
+      { parameter: "riskPerTrade", metric: "survivalRate", target: 0.95, runs: 100, seeds: 3 },
+      { simulate }
+    );
+
+    //verify
+    expect(result.value).to.be.equal(null);
+    expect(result.unreachable).to.be.equal(3);
+  });
+
+  // Fake simulation of one run whose balance crosses zero at a win rate of
+  // 0.5 shifted by normal noise drawn from the seed.
+  const noisyBreakEven = (params) => {
+    const random = createRandom(params.seed);
+    const noise = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return [{ finalBalance: 10000 * (params.winRate - 0.5 - 0.05 * noise) }];
+  };
+  const breakEvenGoal = { parameter: "winRate", metric: "medianBalance", target: 0, runs: 1, seeds: 5, iterations: 30 };
+
+  it("calculating the confidence band as the t-interval of the seeds' answers", async () => {
+    //exercise
+    const result = await solveForParameter(params, breakEvenGoal, { simulate: noisyBreakEven });
+
+    //verify
+    const { solutions } = result;
+    const mean = solutions.reduce((sum, value) => sum + value, 0) / 5;
+    const standardDeviation = Math.sqrt(solutions.reduce((sum, value) => sum + (value - mean) ** 2, 0) / 4);
+    // t with 4 degrees of freedom leaves 2.5% in each tail at 2.776.
+    const margin = 2.776445 * standardDeviation / Math.sqrt(5);
+    expect(result.confidence).to.be.equal(0.95);
+    expect(result.value).to.be.closeTo(mean, 1e-9);
+    expect(result.band[0]).to.be.closeTo(mean - margin, 1e-6);
+    expect(result.band[1]).to.be.closeTo(mean + margin, 1e-6);
+  });
+
+  it("confirming the 95% confidence band covers the true answer about 95% of the time", async () => {
+    //setup
+    const trials = 400;
+
+    //exercise
+    let covered = 0;
+    for (let seed = 1; seed <= trials; seed++) {
+      const { band } = await solveForParameter({ ...params, seed }, breakEvenGoal, { simulate: noisyBreakEven });
+      if (band[0] <= 0.5 && band[1] >= 0.5) {
+        covered++;
+      }
+    }
+
+    //verify
+    expect(covered / trials).to.be.within(0.92, 0.98);
+  });
+
+  it("ensuring a single solved seed gives no confidence band", async () => {
+    //exercise
+    const result = await solveForParameter(params, { ...breakEvenGoal, seeds: 1 }, { simulate: noisyBreakEven });
+
+    //verify
+    expect(result.value).to.be.a("number");
+    expect(result.band).to.be.equal(null);
+  });
+
+  it("calculating the break-even win rate from real simulations with a confidence band", async () => {
+    //setup
+    const goal = { parameter: "winRate", metric: "profitProbability", target: 0.5, runs: 200, seeds: 3, iterations: 8 };
+
+    //exercise
+    const result = await solveForParameter(params, goal);
+    const repeated = await solveForParameter(params, goal);
+
+    //verify
+    // At 2R a trader breaks even winning one trade in three.
+    expect(result.value).to.be.closeTo(1 / 3, 0.05);
+    expect(result.solutions).to.have.lengthOf(3);
+    expect(result.band[0]).to.be.at.most(result.band[1]);
+    expect(repeated).to.deep.equal(result);
+  });
+
+  it("ensuring win rate cannot be solved when a trade log replaces it", async () => {
+    //setup
+    const withTradeLog = { ...params, tradeLog: { rMultiples: [1, -1], blockSize: 1 } };
+    const goal = { parameter: "winRate", metric: "survivalRate", target: 0.9 };
+
+    //exercise
+    const error = validateGoal(withTradeLog, goal);
+    let thrown = null;
+    try {
+      await solveForParameter(withTradeLog, goal);
+    } catch (e) {
+      thrown = e;
+    }
+
+    //verify
+    expect(error).to.be.a("string");
+    expect(thrown.message).to.be.equal(error);
+  });
+});
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { runMonteCarlo, runMonteCarloAggregate, createRandom } = require("../main.js");
+const {
+  createQuantileSketch,
+  addToSketch,
+  mergeSketches,
+  sketchQuantile,
+  createRunAggregate,
+  addRunToAggregate,
+  mergeAggregates,
+  monthlyBalancePercentiles,
+  aggregateMonthlyPercentiles,
+  studentTCdf,
+  studentTQuantile,
+} = require("../statistics.js");
+
+const params = {
+  startingBalance: 5000,
+  riskPerTrade: 0.05,
+  tradesPerWeek: 5,
+  riskToReward: 1.5,
+  expensesBegin: 1,
+  totalMonthlyExpenses: 300,
+  simulationTimeline: 12,
+  myFeePercentage: 0.03,
+  winRate: 0.4,
+  seed: 8,
+};
+
+describe("testing the quantile sketch", () => {
+  it("confirming quantiles are estimated within the 1% relative accuracy", () => {
+    //setup
+    const sketch = createQuantileSketch();
+    const random = createRandom(1);
+    const values = Array.from({ length: 20000 }, () => 1000 + random() * 99000);
+
+    //exercise
+    values.forEach((value) => addToSketch(sketch, value));
+    values.sort((a, b) => a - b);
+
+    //verify
+    for (const q of [0.05, 0.5, 0.95]) {
+      const exact = values[Math.floor(q * values.length)];
+      expect(sketchQuantile(sketch, q)).to.be.closeTo(exact, exact * 0.011);
+    }
+  });
+
+  it("ensuring sketch memory stays flat as more values are added", () => {
+    //setup
+    const sketch = createQuantileSketch();
+    const random = createRandom(2);
+
+    //exercise
+    for (let i = 0; i < 100000; i++) addToSketch(sketch, 1000 + random() * 1e6);
+    // 1% bins between $1,000 and $1,001,000 number about ln(1001) / ln(1.0202)
+    const maximumBins = Math.ceil(Math.log(1001) / Math.log(sketch.gamma)) + 1;
+
+    //verify
+    expect(sketch.count).to.be.equal(100000);
+    expect(Object.keys(sketch.bins).length).to.be.at.most(maximumBins);
+  });
+
+  it("confirming merged sketches count every value, including zero and negatives", () => {
+    //setup
+    const first = createQuantileSketch();
+    const second = createQuantileSketch();
+    [-500, 0, 250].forEach((value) => addToSketch(first, value));
+    [1000, 2000].forEach((value) => addToSketch(second, value));
+
+    //exercise
+    const merged = mergeSketches(first, second);
+
+    //verify
+    expect(merged.count).to.be.equal(5);
+    expect(merged.min).to.be.equal(-500);
+    expect(merged.max).to.be.equal(2000);
+    expect(sketchQuantile(merged, 0)).to.be.equal(-500);
+    expect(sketchQuantile(merged, 0.2)).to.be.equal(0);
+  });
+});
+
+describe("testing the streaming run aggregate", () => {
+  it("confirming runMonteCarloAggregate counts match the full run results", () => {
+    //exercise
+    const runs = runMonteCarlo(params, 500);
+    const aggregate = runMonteCarloAggregate(params, 500);
+
+    //verify
+    const finalBalances = runs.map((run) => run.finalBalance);
+    expect(aggregate.runs).to.be.equal(500);
+    expect(aggregate.survived).to.be.equal(runs.filter((run) => run.survived).length);
+    expect(aggregate.ruined).to.be.equal(runs.filter((run) => run.ruined).length);
+    expect(aggregate.profitable).to.be.equal(finalBalances.filter((b) => b > 5000).length);
+    expect(aggregate.best.finalBalance).to.be.equal(Math.max(...finalBalances));
+    expect(aggregate.worst.finalBalance).to.be.equal(Math.min(...finalBalances));
+    expect(aggregate.finalBalanceSum).to.be.closeTo(
+      finalBalances.reduce((sum, b) => sum + b, 0),
+      0.001
+    );
+  });
+
+  it("confirming merged worker aggregates equal a single-pass aggregate", () => {
+    //exercise
+    const singlePass = runMonteCarloAggregate(params, 300);
+    const merged = mergeAggregates(
+      runMonteCarloAggregate(params, 100, { firstRun: 0 }),
+      runMonteCarloAggregate(params, 200, { firstRun: 100 })
+    );
+
+    //verify
+    expect(merged.runs).to.be.equal(singlePass.runs);
+    expect(merged.survived).to.be.equal(singlePass.survived);
+    expect(merged.best).to.deep.equal(singlePass.best);
+    expect(merged.worst).to.deep.equal(singlePass.worst);
+    expect(merged.finalBalances.bins).to.deep.equal(singlePass.finalBalances.bins);
+  });
+
+  it("confirming the aggregate tracks the drawdown distribution of every run", () => {
+    //exercise
+    const runs = runMonteCarlo(params, 300);
+    const aggregate = runMonteCarloAggregate(params, 300);
+
+    //verify
+    const bucketTotal = aggregate.drawdownBuckets.reduce((sum, count) => sum + count, 0);
+    expect(bucketTotal).to.be.equal(300);
+    expect(aggregate.recovered).to.be.equal(
+      runs.filter((run) => run.recoveryMonths !== null).length
+    );
+    expect(aggregate.maxDrawdowns.max).to.be.equal(
+      Math.max(...runs.map((run) => run.maxDrawdown))
+    );
+  });
+
+  it("ensuring a ruined run is counted as ruined, not profitable or losing", () => {
+    //setup
+    const aggregate = createRunAggregate(5000);
+    const runDefaults = { maxDrawdown: 0, longestDrawdownMonths: 0, recoveryMonths: null };
+
+    //exercise
+    addRunToAggregate(aggregate, { ...runDefaults, finalBalance: -20, survived: false, ruined: true, seed: 1 });
+    addRunToAggregate(aggregate, { ...runDefaults, finalBalance: 6000, survived: false, ruined: true, seed: 3 });
+    addRunToAggregate(aggregate, { ...runDefaults, finalBalance: 4000, survived: true, ruined: false, seed: 2 });
+
+    //verify
+    expect(aggregate.ruined).to.be.equal(2);
+    expect(aggregate.profitable).to.be.equal(0);
+    expect(aggregate.losing).to.be.equal(1);
+    expect(aggregate.worst.seed).to.be.equal(1);
+  });
+});
+
+describe("testing the monthly balance percentiles", () => {
+  it("calculating each month's percentiles, keeping a ruined run's last balance", () => {
+    //setup
+    const months = (...balances) => balances.map((endBalance) => ({ endBalance }));
+    const runs = [
+      { monthlyData: months(900, 800, 700) },
+      { monthlyData: months(1100, 1200, 1300) },
+      { monthlyData: months(-50) },
+      { monthlyData: months(1000, 1000, 1000) }
+    ];
+
+    //exercise
+    const rows = monthlyBalancePercentiles(runs, 1000, 3, [0, 50, 100]);
+
+    //verify
+    expect(rows).to.deep.equal([
+      { month: 0, values: [1000, 1000, 1000] },
+      { month: 1, values: [-50, 1000, 1100] },
+      { month: 2, values: [-50, 1000, 1200] },
+      { month: 3, values: [-50, 1000, 1300] }
+    ]);
+  });
+
+  it("confirming streaming percentiles match the full runs within the sketch accuracy", () => {
+    //exercise
+    const runs = runMonteCarlo(params, 400);
+    const merged = mergeAggregates(
+      runMonteCarloAggregate(params, 150, { firstRun: 0 }),
+      runMonteCarloAggregate(params, 250, { firstRun: 150 })
+    );
+    const exact = monthlyBalancePercentiles(runs, params.startingBalance, params.simulationTimeline);
+    const streamed = aggregateMonthlyPercentiles(merged);
+
+    //verify
+    expect(streamed).to.have.lengthOf(params.simulationTimeline + 1);
+    streamed.forEach((row, i) => {
+      expect(row.month).to.be.equal(i);
+      row.values.forEach((value, j) => {
+        const tolerance = Math.max(1, Math.abs(exact[i].values[j]) * 0.05);
+        expect(value).to.be.closeTo(exact[i].values[j], tolerance);
+      });
+    });
+  });
+});
+
+describe("testing the Student's t distribution", () => {
+  it("calculating t quantiles that match the published table", () => {
+    //setup
+    const table = [
+      [0.975, 1, 12.706],
+      [0.975, 4, 2.776],
+      [0.975, 9, 2.262],
+      [0.995, 2, 9.925],
+      [0.95, 30, 1.697]
+    ];
+
+    //exercise
+    const quantiles = table.map(([probability, degreesOfFreedom]) => studentTQuantile(probability, degreesOfFreedom));
+
+    //verify
+    quantiles.forEach((quantile, i) => expect(quantile).to.be.closeTo(table[i][2], 0.001));
+    expect(studentTQuantile(0.025, 4)).to.be.closeTo(-2.776, 0.001);
+    expect(studentTCdf(quantiles[1], 4)).to.be.closeTo(0.975, 1e-9);
+    expect(studentTCdf(0, 7)).to.be.equal(0.5);
+  });
+});
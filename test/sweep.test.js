@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { runSweep, sweepValues, validateSweep } = require("../sweep.js");
+
+describe("testing the parameter sweep", () => {
+  const params = {
+    startingBalance: 10000,
+    riskPerTrade: 0.02,
+    tradesPerWeek: 5,
+    winRate: 0.5,
+    riskToReward: 2,
+    totalMonthlyExpenses: 0,
+    expensesBegin: 0,
+    simulationTimeline: 6,
+    myFeePercentage: 0,
+    seed: 7
+  };
+
+  it("calculating evenly spaced axis values", () => {
+    //setup
+    const from = 0.3;
+    const to = 0.7;
+
+    //exercise
+    const values = sweepValues(from, to, 5);
+    const integers = sweepValues(1, 3, 5, true);
+
+    //verify
+    values.forEach((value, i) => expect(value).to.be.closeTo([0.3, 0.4, 0.5, 0.6, 0.7][i], 1e-12));
+    expect(integers).to.deep.equal([1, 2, 3]);
+    expect(sweepValues(2, 9, 1)).to.deep.equal([2]);
+  });
+
+  it("confirming every cell of the grid is measured with its own parameters", async () => {
+    //setup
+    const seen = [];
+    const simulate = (cellParams, runs) => {
+      seen.push([cellParams.winRate, cellParams.tradesPerWeek, cellParams.seed]);
+      return Array.from({ length: runs }, () => ({ finalBalance: 0, survived: cellParams.winRate > 0.4, ruined: false }));
+    };
+    const sweep = {
+      xParameter: "winRate",
+      xValues: [0.4, 0.6],
+      yParameter: "tradesPerWeek",
+      yValues: [1, 5, 10],
+      metric: "survivalRate",
+      runs: 10
+    };
+
+    //exercise
+    const result = await runSweep(params, sweep, { simulate });
+
+    //verify
+    expect(result.rows).to.have.lengthOf(3);
+    expect(result.rows.map((row) => row.map((cell) => cell.value))).to.deep.equal([[0, 1], [0, 1], [0, 1]]);
+    expect(result.rows[2][1].params).to.include({ winRate: 0.6, tradesPerWeek: 10, simulationRuns: 10 });
+    expect(new Set(seen.map(([, , seed]) => seed))).to.deep.equal(new Set([7]));
+  });
+
+  it("ensuring higher win rates survive at least as often on the same seed", async () => {
+    //setup
+    const sweep = {
+      xParameter: "winRate",
+      xValues: [0.2, 0.4, 0.6],
+      yParameter: "riskPerTrade",
+      yValues: [0.1],
+      metric: "survivalRate",
+      runs: 200
+    };
+
+    //exercise
+    const result = await runSweep({ ...params, totalMonthlyExpenses: 1000, expensesBegin: 1 }, sweep);
+
+    //verify
+    const [low, middle, high] = result.rows[0].map((cell) => cell.value);
+    expect(low).to.be.at.most(middle);
+    expect(middle).to.be.at.most(high);
+  });
+
+  it("ensuring a sweep needs two different parameters", () => {
+    //setup
+    const sweep = { xParameter: "winRate", xValues: [0.5], yParameter: "winRate", yValues: [0.5], metric: "survivalRate" };
+
+    //exercise
+    const error = validateSweep(params, sweep);
+
+    //verify
+    expect(error).to.be.a("string");
+  });
+});
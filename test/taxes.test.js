@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { accumulateProfits, simulateRun } = require("../main.js");
+const { createTaxAccount } = require("../taxes.js");
+
+describe("testing the tax layer", () => {
+  it("calculating quarterly tax on each quarter's net gain", () => {
+    //setup
+    const taxForMonth = createTaxAccount({ rate: 0.25, schedule: "quarterly" });
+
+    //exercise
+    const taxes = [1000, -200, 400, 500, 500, 0].map((gain) => taxForMonth(gain));
+
+    //verify
+    expect(taxes).to.deep.equal([0, 0, 300, 0, 0, 250]);
+  });
+
+  it("ensuring losses carry forward to offset later gains", () => {
+    //setup
+    const taxForMonth = createTaxAccount({ rate: 0.5, schedule: "quarterly" });
+
+    //exercise
+    const taxes = [-1000, 0, 0, 400, 0, 0, 1000, 0, 0, 500, 0, 0].map((gain) => taxForMonth(gain));
+
+    //verify
+    // Q2's 400 and 600 of Q3 are offset by Q1's loss.
+    expect(taxes).to.deep.equal([0, 0, 0, 0, 0, 0, 0, 0, 200, 0, 0, 250]);
+  });
+
+  it("confirming annual tax is only paid at the end of each year", () => {
+    //setup
+    const taxForMonth = createTaxAccount({ rate: 0.3, schedule: "annual" });
+
+    //exercise
+    const taxes = Array.from({ length: 24 }, () => taxForMonth(100));
+
+    //verify
+    taxes.forEach((tax, i) => {
+      expect(tax).to.be.closeTo(i === 11 || i === 23 ? 360 : 0, 1e-9);
+    });
+  });
+
+  it("confirming periods follow the calendar from the first simulated month", () => {
+    //setup
+    const annualFromNovember = createTaxAccount({ rate: 0.5, schedule: "annual" }, 10);
+    const quarterlyFromFebruary = createTaxAccount({ rate: 0.5, schedule: "quarterly" }, 1);
+
+    //exercise
+    const annualTaxes = [100, 100, 100, 100].map((gain) => annualFromNovember(gain));
+    const quarterlyTaxes = [100, 100, 100, 100].map((gain) => quarterlyFromFebruary(gain));
+
+    //verify
+    expect(annualTaxes).to.deep.equal([0, 100, 0, 0]);
+    expect(quarterlyTaxes).to.deep.equal([0, 100, 0, 0]);
+  });
+
+  it("ensuring the open period is settled in the last month", () => {
+    //setup
+    const taxForMonth = createTaxAccount({ rate: 0.25, schedule: "annual" });
+    const taxPolicy = { rate: 0.25, schedule: "annual" };
+
+    //exercise
+    const taxes = [400, -100, 500].map((gain, i) => taxForMonth(gain, i === 2));
+    const months = accumulateProfits(10000, 0.01, 1, 1, 2, 0, 0, 6, 0, { taxPolicy });
+
+    //verify
+    expect(taxes).to.deep.equal([0, 0, 200]);
+    const gains = months.reduce((sum, month) => sum + month.grossProfit, 0);
+    expect(months.slice(0, 5).every((month) => month.taxes === 0)).to.be.equal(true);
+    expect(months[5].taxes).to.be.closeTo(gains * 0.25, 1e-6);
+  });
+
+  it("confirming calendar months align the tax periods in accumulateProfits", () => {
+    //setup
+    const tradingMonths = ["Nov 2026", "Dec 2026", "Jan 2027"].map((label, i) => ({
+      label,
+      month: (10 + i) % 12,
+      tradingDays: 20
+    }));
+    const taxPolicy = { rate: 0.25, schedule: "annual" };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 5, 1, 2, 0, 0, 3, 0, { taxPolicy, tradingMonths });
+
+    //verify
+    const firstYearGain = months[0].grossProfit + months[1].grossProfit;
+    expect(months[0].taxes).to.be.equal(0);
+    expect(months[1].taxes).to.be.closeTo(firstYearGain * 0.25, 1e-6);
+    expect(months[2].taxes).to.be.closeTo(months[2].grossProfit * 0.25, 1e-6);
+  });
+
+  it("ensuring accumulateProfits takes taxes out of the balance on schedule", () => {
+    //setup
+    const taxPolicy = { rate: 0.2, schedule: "quarterly" };
+
+    //exercise
+    const months = accumulateProfits(10000, 0.01, 1, 1, 2, 0, 0, 6, 0, { taxPolicy });
+    const untaxed = accumulateProfits(10000, 0.01, 1, 1, 2, 0, 0, 3, 0);
+
+    //verify
+    const firstQuarterGain = untaxed.reduce((sum, month) => sum + month.grossProfit, 0);
+    expect(months[0].taxes).to.be.equal(0);
+    expect(months[2].taxes).to.be.closeTo(firstQuarterGain * 0.2, 1e-6);
+    expect(months[2].endBalance).to.be.closeTo(untaxed[2].endBalance - months[2].taxes, 1e-6);
+  });
+
+  it("confirming simulateRun totals the taxes paid", () => {
+    //setup
+    const params = {
+      startingBalance: 10000,
+      riskPerTrade: 0.01,
+      tradesPerWeek: 1,
+      winRate: 1,
+      riskToReward: 2,
+      totalMonthlyExpenses: 0,
+      expensesBegin: 0,
+      simulationTimeline: 12,
+      myFeePercentage: 0,
+      taxPolicy: { rate: 0.25, schedule: "annual" },
+    };
+
+    //exercise
+    const run = simulateRun(params, 1);
+
+    //verify
+    expect(run.totalTaxes).to.be.closeTo(run.monthlyData[11].taxes, 1e-9);
+    expect(run.totalTaxes).to.be.greaterThan(0);
+  });
+});
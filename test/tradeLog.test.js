@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { calculateMonthlyProfit, runMonteCarlo, createRandom } = require("../main.js");
+const {
+  parseTradeLog,
+  summarizeTradeLog,
+  createBootstrapSampler,
+} = require("../tradeLog.js");
+
+describe("testing the trade log import", () => {
+  it("confirming R-multiples are read from a CSV column", () => {
+    //setup
+    const csv = "date,symbol,R\n2025-01-02,ES,2\n2025-01-03,ES,-1\n2025-01-06,NQ,0.5";
+
+    //exercise
+    const rMultiples = parseTradeLog(csv);
+
+    //verify
+    expect(rMultiples).to.deep.equal([2, -1, 0.5]);
+  });
+
+  it("confirming P&L is converted to R using the risk column or the average loss", () => {
+    //setup
+    const withRisk = '[{"pnl": 300, "risk": 100}, {"pnl": -100, "risk": 100}]';
+    const withoutRisk = "pnl\n400\n-200\n-100\n150";
+
+    //exercise
+    const fromRisk = parseTradeLog(withRisk);
+    const fromAverageLoss = parseTradeLog(withoutRisk);
+
+    //verify
+    expect(fromRisk).to.deep.equal([3, -1]);
+    expect(fromAverageLoss).to.deep.equal([400 / 150, -200 / 150, -100 / 150, 1]);
+  });
+
+  it("ensuring a log without usable trade results is rejected", () => {
+    //verify
+    expect(() => parseTradeLog("")).to.throw("empty");
+    expect(() => parseTradeLog("date,symbol\n2025-01-02,ES")).to.throw("column");
+    expect(() => parseTradeLog("R\n1\nabc")).to.throw("non-numeric");
+  });
+
+  it("confirming summarizeTradeLog reports win rate and expectancy", () => {
+    //exercise
+    const summary = summarizeTradeLog([2, -1, 2, -1]);
+
+    //verify
+    expect(summary.trades).to.be.equal(4);
+    expect(summary.winRate).to.be.equal(0.5);
+    expect(summary.expectancyR).to.be.equal(0.5);
+  });
+});
+
+describe("testing the bootstrap sampler", () => {
+  it("confirming block bootstrapping replays consecutive trades from the log", () => {
+    //setup
+    const rMultiples = [1, 2, 3, 4, 5, 6];
+    const sampleTrade = createBootstrapSampler(rMultiples, 3, createRandom(11));
+
+    //exercise
+    const block = [sampleTrade(), sampleTrade(), sampleTrade()];
+
+    //verify
+    const start = rMultiples.indexOf(block[0]);
+    expect(block).to.deep.equal([
+      rMultiples[start],
+      rMultiples[(start + 1) % 6],
+      rMultiples[(start + 2) % 6],
+    ]);
+  });
+
+  it("calculating monthly profit when every sampled trade is a 1R winner", () => {
+    //setup
+    const sampleTrade = () => 1;
+
+    //exercise
+    const profit = calculateMonthlyProfit(5000, 0.02, 1, 0, 2, 0, {
+      sampleTrade,
+    });
+
+    //verify
+    expect(profit).to.be.closeTo(5000 * Math.pow(1.02, 4) - 5000, 0.0001);
+  });
+
+  it("confirming runMonteCarlo bootstraps from the trade log", () => {
+    //setup
+    const params = {
+      startingBalance: 5000,
+      riskPerTrade: 0.02,
+      tradesPerWeek: 5,
+      riskToReward: 2,
+      expensesBegin: 0,
+      totalMonthlyExpenses: 0,
+      simulationTimeline: 6,
+      myFeePercentage: 0,
+      winRate: 0,
+      seed: 3,
+      tradeLog: { rMultiples: [1], blockSize: 1 },
+    };
+
+    //exercise
+    const results = runMonteCarlo(params, 5);
+
+    //verify
+    for (const run of results) {
+      expect(run.finalBalance).to.be.closeTo(5000 * Math.pow(1.02, 120), 0.01);
+    }
+  });
+});
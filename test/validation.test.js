@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { validateFormValues } = require("../validation.js");
+
+describe("testing the form validation", () => {
+  it("confirming an empty form is valid because every input has a usable default", () => {
+    //setup
+    const values = { "withdrawal-policy": "none", "tax-schedule": "none", seed: "" };
+
+    //exercise
+    const result = validateFormValues(values);
+
+    //verify
+    expect(result).to.deep.equal({ errors: {}, warnings: {} });
+  });
+
+  it("ensuring out-of-range values are reported against their inputs", () => {
+    //setup
+    const values = {
+      "win-rate": "150",
+      "account-balance-risked-percent": "-2",
+      "trades-per-week": "0",
+      "simulation-runs": "2.5",
+      "monthly-deposit": "-100",
+      seed: "abc"
+    };
+
+    //exercise
+    const { errors } = validateFormValues(values);
+
+    //verify
+    expect(errors).to.deep.equal({
+      "win-rate": "Win rate must be more than 0% and less than 100%.",
+      "account-balance-risked-percent": "Risk per trade must be more than 0% and at most 100%.",
+      "trades-per-week": "Trades per week must be a whole number of at least 1.",
+      "simulation-runs": "Simulation runs must be a whole number of at least 1.",
+      "monthly-deposit": "Monthly deposits cannot be negative; use a one-off withdrawal instead.",
+      seed: "Seed must be a number."
+    });
+  });
+
+  it("ensuring inputs that contradict each other are reported, using defaults for empty ones", () => {
+    //setup
+    const values = {
+      timeline: "6",
+      "expenses-begin-month": "8",
+      "estimated-fee-percent": "250",
+      "ruin-balance": "30000",
+      "sizing-model": "capped-fractional",
+      "min-risk": "500",
+      "max-risk": "100"
+    };
+
+    //exercise
+    const { errors } = validateFormValues(values);
+
+    //verify
+    expect(errors).to.deep.equal({
+      "expenses-begin-month": "Expenses cannot begin after the last month of the timeline (month 6).",
+      "estimated-fee-percent": "A fee of 250% of risk would eat the whole 1:2 payoff of a winning trade.",
+      "ruin-balance": "Ruin balance must be below the initial account balance.",
+      "max-risk": "Maximum dollar risk must be at least the minimum dollar risk."
+    });
+  });
+
+  it("confirming inputs of unused settings are skipped and extreme values only warn", () => {
+    //setup
+    const values = {
+      "tax-schedule": "none",
+      "tax-rate": "140",
+      "withdrawal-policy": "salary",
+      "sizing-model": "kelly",
+      "fixed-risk": "abc",
+      "max-risk": "-100",
+      "account-balance-risked-percent": "15",
+      "kelly-multiplier": "150"
+    };
+
+    //exercise
+    const { errors, warnings } = validateFormValues(values);
+
+    //verify
+    expect(errors).to.deep.equal({ salary: "Enter the monthly salary to withdraw." });
+    expect(Object.keys(warnings)).to.deep.equal(["account-balance-risked-percent", "kelly-multiplier"]);
+    expect(warnings["account-balance-risked-percent"]).to.include("more than 10% per trade");
+  });
+
+  it("ensuring the winner and loser inputs are checked when trades follow a distribution", () => {
+    //setup
+    const values = { "outcome-source": "parametric", "win-mean-r": "0", "loss-stddev-r": "-1" };
+
+    //exercise
+    const { errors } = validateFormValues(values);
+
+    //verify
+    expect(errors).to.deep.equal({
+      "win-mean-r": "Average winner must be more than 0R.",
+      "loss-stddev-r": "Loser standard deviation must be at least 0R."
+    });
+  });
+
+  it("confirming the win rate and R:R are skipped when a trade log or outcome table sets the trades", () => {
+    //setup
+    const unusable = { "win-rate": "", "risk-to-reward": "abc" };
+    const withTradeLog = { ...unusable, "win-rate": "150", "outcome-source": "trade-log" };
+    const withTable = { ...unusable, "outcome-source": "table", "outcome-table": "50%, 2\n50%, -1" };
+    const withEmptyTable = { ...unusable, "outcome-source": "table", "outcome-table": "" };
+
+    //exercise
+    const tradeLogErrors = validateFormValues(withTradeLog).errors;
+    const tableErrors = validateFormValues(withTable).errors;
+    const emptyTableErrors = validateFormValues(withEmptyTable).errors;
+
+    //verify
+    expect(tradeLogErrors).to.deep.equal({});
+    expect(tableErrors).to.deep.equal({});
+    expect(emptyTableErrors).to.deep.equal({ "risk-to-reward": "Risk to reward must be a number." });
+  });
+
+  it("ensuring a market regime model is reported when another source sets the trades", () => {
+    //setup
+    const withTradeLog = { "regime-model": "markov", "outcome-source": "trade-log" };
+    const withTable = { "regime-model": "drift", "outcome-source": "table" };
+    const withWinRate = { "regime-model": "markov", "outcome-source": "fixed" };
+
+    //exercise
+    const tradeLogErrors = validateFormValues(withTradeLog).errors;
+    const tableErrors = validateFormValues(withTable).errors;
+    const winRateErrors = validateFormValues(withWinRate).errors;
+
+    //verify
+    expect(tradeLogErrors["regime-model"]).to.be.equal(
+      "Market regimes change the win rate and R:R, so they only apply to Win Rate & R:R trade outcomes."
+    );
+    expect(tableErrors).to.have.property("regime-model");
+    expect(winRateErrors).to.deep.equal({});
+  });
+});
@@ -0,0 +1,138 @@
+const R_COLUMNS = ["r", "rmultiple", "r_multiple", "r-multiple"];
+const PNL_COLUMNS = ["pnl", "p&l", "profit", "netpnl", "net_pnl"];
+const RISK_COLUMNS = ["risk", "riskamount", "risk_amount", "initialrisk"];
+
+/**
+ * Parses a trade log (CSV with a header row, or JSON) into a list of
+ * R-multiples, one per trade.
+ *
+ * R-multiples are read from an "r" / "r_multiple" column when present.
+ * Otherwise P&L is divided by a "risk" column, and when there is no risk
+ * column the average losing trade is taken to be -1R.
+ * Throws an Error describing the problem when the log cannot be used.
+ */
+export function parseTradeLog(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        throw new Error("The trade log is empty.");
+    }
+
+    const rows = trimmed.startsWith("[") || trimmed.startsWith("{")
+        ? parseJsonRows(trimmed)
+        : parseCsvRows(trimmed);
+
+    let rMultiples;
+    if (rows.every((row) => typeof row === "number")) {
+        rMultiples = rows;
+    } else {
+        const rKey = findColumn(rows[0], R_COLUMNS);
+        const pnlKey = findColumn(rows[0], PNL_COLUMNS);
+        const riskKey = findColumn(rows[0], RISK_COLUMNS);
+
+        if (rKey) {
+            rMultiples = rows.map((row) => parseFloat(row[rKey]));
+        } else if (pnlKey && riskKey) {
+            rMultiples = rows.map((row) => parseFloat(row[pnlKey]) / Math.abs(parseFloat(row[riskKey])));
+        } else if (pnlKey) {
+            rMultiples = normalizeByAverageLoss(rows.map((row) => parseFloat(row[pnlKey])));
+        } else {
+            throw new Error("The trade log needs an R-multiple column or a P&L column.");
+        }
+    }
+
+    if (rMultiples.length === 0 || rMultiples.some((value) => !Number.isFinite(value))) {
+        throw new Error("The trade log contains missing or non-numeric trade results.");
+    }
+    return rMultiples;
+}
+
+function parseJsonRows(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("The trade log is not valid JSON.");
+    }
+    const rows = Array.isArray(data) ? data : data.trades;
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error("The JSON trade log must be a list of trades.");
+    }
+    return rows;
+}
+
+function parseCsvRows(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+    const firstCells = lines[0].split(",").map((cell) => cell.trim());
+
+    // A log with no header is read as a single column of R-multiples.
+    if (firstCells.length === 1 && !isNaN(parseFloat(firstCells[0]))) {
+        return lines.map((line) => parseFloat(line));
+    }
+    if (lines.length < 2) {
+        throw new Error("The CSV trade log has a header but no trades.");
+    }
+
+    return lines.slice(1).map((line) => {
+        const cells = line.split(",");
+        const row = {};
+        firstCells.forEach((header, i) => {
+            row[header] = cells[i] === undefined ? "" : cells[i].trim().replace(/[$\s]/g, "");
+        });
+        return row;
+    });
+}
+
+function findColumn(row, candidates) {
+    return Object.keys(row).find((key) => candidates.includes(key.trim().toLowerCase().replace(/\s+/g, "")));
+}
+
+function normalizeByAverageLoss(pnlValues) {
+    const losses = pnlValues.filter((value) => value < 0);
+    if (losses.length === 0) {
+        throw new Error("A P&L-only trade log needs at least one losing trade to size 1R.");
+    }
+    const averageLoss = Math.abs(losses.reduce((sum, value) => sum + value, 0) / losses.length);
+    return pnlValues.map((value) => value / averageLoss);
+}
+
+/**
+ * Summarizes a list of R-multiples for display.
+ */
+export function summarizeTradeLog(rMultiples) {
+    const winners = rMultiples.filter((value) => value > 0);
+    const losers = rMultiples.filter((value) => value < 0);
+    const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+    return {
+        trades: rMultiples.length,
+        winRate: winners.length / rMultiples.length,
+        averageWinR: average(winners),
+        averageLossR: average(losers),
+        expectancyR: average(rMultiples)
+    };
+}
+
+/**
+ * Creates a sampler that draws trade R-multiples from an empirical log.
+ *
+ * With a blockSize of 1 each trade is drawn independently. Larger blocks use a
+ * circular block bootstrap: a random starting trade is picked and the
+ * following trades are replayed in order, so winning and losing streaks from
+ * the log are kept intact.
+ */
+export function createBootstrapSampler(rMultiples, blockSize, random) {
+    const size = Math.max(1, Math.floor(blockSize || 1));
+    let position = 0;
+    let remainingInBlock = 0;
+
+    return function sampleTrade() {
+        if (remainingInBlock === 0) {
+            position = Math.floor(random() * rMultiples.length);
+            remainingInBlock = size;
+        }
+        const rMultiple = rMultiples[position];
+        position = (position + 1) % rMultiples.length;
+        remainingInBlock--;
+        return rMultiple;
+    };
+}
@@ -0,0 +1,262 @@
+// --- Field Rules ---
+const RISK_WARNING_PERCENT = 10;
+
+const isSelected = (id, value) => (values) => values[id] === value;
+const isNotNone = (id) => (values) => Boolean(values[id]) && values[id] !== "none";
+// The win rate and R:R inputs set the trades unless a trade log or a filled-in
+// outcome table replaces them (an empty table is built from them).
+const usesWinRate = (values) =>
+    values["outcome-source"] !== "trade-log"
+    && !(values["outcome-source"] === "table" && String(values["outcome-table"] ?? "").trim() !== "");
+
+/**
+ * Range rules for the numeric inputs, keyed by input id. Values are as typed
+ * in the form: percentages out of 100, dollars and months counted from 1.
+ *
+ * fallback is the value an empty input stands for; inputs without one are
+ * only checked when filled in. min/max are inclusive and above/below
+ * exclusive limits, whole asks for a whole number, when limits the rule to
+ * the form settings that use the input, message replaces the generated
+ * range message and warnAbove flags a valid but extreme value.
+ */
+const FIELD_RULES = {
+    "simulation-runs": {
+        label: "Simulation runs",
+        fallback: 100000,
+        whole: true,
+        min: 1,
+        warnAbove: {
+            value: 1000000,
+            message: "Over a million runs can take minutes; streaming statistics keep the memory use down."
+        }
+    },
+    timeline: { label: "Simulation timeline", fallback: 12, whole: true, min: 1 },
+    "account-balance": { label: "Initial account balance", unit: "$", fallback: 25000, above: 0 },
+    "trades-per-week": { label: "Trades per week", fallback: 5, whole: true, min: 1 },
+    "win-rate": { label: "Win rate", unit: "%", fallback: 50, above: 0, below: 100, when: usesWinRate },
+    "risk-to-reward": { label: "Risk to reward", fallback: 2, above: 0, when: usesWinRate },
+    "ruin-balance": { label: "Ruin balance", unit: "$", min: 0 },
+    "ruin-drawdown": { label: "Ruin drawdown", unit: "%", min: 0, max: 100 },
+    "monthly-loss-limit": { label: "Monthly loss limit", unit: "%", min: 0, max: 100 },
+    "loss-streak-limit": { label: "Losing streak limit", whole: true, min: 0 },
+    "loss-streak-risk-factor": { label: "Risk multiplier after a losing streak", min: 0 },
+    "peak-win-rate": { label: "Peak win rate", unit: "%", min: 0, max: 100, when: isSelected("regime-model", "drift") },
+    "low-win-rate": { label: "Lowest win rate", unit: "%", min: 0, max: 100, when: isSelected("regime-model", "drift") },
+    "win-mean-r": { label: "Average winner", unit: "R", above: 0, when: isSelected("outcome-source", "parametric") },
+    "win-stddev-r": { label: "Winner standard deviation", unit: "R", min: 0, when: isSelected("outcome-source", "parametric") },
+    "loss-mean-r": { label: "Average loser", unit: "R", above: 0, when: isSelected("outcome-source", "parametric") },
+    "loss-stddev-r": { label: "Loser standard deviation", unit: "R", min: 0, when: isSelected("outcome-source", "parametric") },
+    "bootstrap-block-size": {
+        label: "Bootstrap block size",
+        fallback: 1,
+        whole: true,
+        min: 1,
+        when: isSelected("outcome-source", "trade-log"),
+        message: "Bootstrap block size must be at least 1 trade."
+    },
+    "estimated-fee-percent": { label: "Estimated fee", unit: "%", fallback: 3, min: 0 },
+    "commission-per-trade": { label: "Commission per trade", unit: "$", min: 0 },
+    "risk-per-unit": { label: "Risk per share or contract", unit: "$", min: 0 },
+    "cost-per-unit": { label: "Cost per share or contract", unit: "$", min: 0 },
+    "slippage-r": { label: "Slippage", unit: "R", min: 0 },
+    "slippage-ticks": { label: "Slippage in ticks", min: 0 },
+    "tick-value": { label: "Tick value", unit: "$", min: 0 },
+    "spread-per-unit": { label: "Spread per share or contract", unit: "$", min: 0 },
+    "account-balance-risked-percent": {
+        label: "Risk per trade",
+        unit: "%",
+        fallback: 2,
+        above: 0,
+        max: 100,
+        warnAbove: {
+            value: RISK_WARNING_PERCENT,
+            message: `Risking more than ${RISK_WARNING_PERCENT}% per trade can wipe out the account in a short losing streak.`
+        }
+    },
+    "fixed-risk": { label: "Fixed dollar risk", unit: "$", above: 0, when: isSelected("sizing-model", "fixed-dollar") },
+    "min-risk": { label: "Minimum dollar risk", unit: "$", min: 0, when: isSelected("sizing-model", "capped-fractional") },
+    "max-risk": { label: "Maximum dollar risk", unit: "$", min: 0, when: isSelected("sizing-model", "capped-fractional") },
+    "kelly-multiplier": {
+        label: "Kelly fraction",
+        unit: "%",
+        fallback: 50,
+        above: 0,
+        when: isSelected("sizing-model", "kelly"),
+        warnAbove: {
+            value: 100,
+            message: "More than full Kelly risks past the growth-optimal size: deeper drawdowns for less growth."
+        }
+    },
+    "step-up-factor": {
+        label: "Step-up multiplier",
+        fallback: 1.5,
+        min: 1,
+        when: isSelected("sizing-model", "anti-martingale")
+    },
+    "max-step-ups": {
+        label: "Maximum step-ups",
+        fallback: 3,
+        whole: true,
+        min: 0,
+        when: isSelected("sizing-model", "anti-martingale")
+    },
+    "total-monthly-expenses": { label: "Monthly expenses", unit: "$", min: 0 },
+    "expenses-begin-month": { label: "Expenses begin month", fallback: 0, whole: true, min: 0 },
+    "expenses-end-month": { label: "Expenses end month", fallback: 0, whole: true, min: 0 },
+    "expense-inflation": { label: "Expense inflation", unit: "%", above: -100 },
+    "monthly-deposit": {
+        label: "Monthly deposit",
+        unit: "$",
+        min: 0,
+        message: "Monthly deposits cannot be negative; use a one-off withdrawal instead."
+    },
+    "tax-rate": { label: "Tax rate", unit: "%", min: 0, max: 100, when: isNotNone("tax-schedule") },
+    "withdrawal-percent": {
+        label: "Withdrawal percentage",
+        unit: "%",
+        min: 0,
+        max: 100,
+        when: isNotNone("withdrawal-policy")
+    },
+    salary: {
+        label: "Monthly salary",
+        unit: "$",
+        fallback: 0,
+        above: 0,
+        when: isSelected("withdrawal-policy", "salary"),
+        message: "Enter the monthly salary to withdraw."
+    },
+    "salary-minimum-balance": { label: "Minimum balance to pay a salary", unit: "$", min: 0 },
+    seed: {
+        label: "Seed",
+        whole: true,
+        min: 0,
+        max: 4294967295,
+        message: "Seed must be a whole number between 0 and 4,294,967,295."
+    }
+};
+
+/**
+ * Rules that compare inputs, each marking one input: check gets the number
+ * of any input (its fallback when empty) and the form's values, and returns a
+ * message or null.
+ */
+const CONSISTENCY_RULES = [
+    {
+        field: "expenses-begin-month",
+        check: (number) =>
+            number("expenses-begin-month") > number("timeline")
+                ? `Expenses cannot begin after the last month of the timeline (month ${number("timeline")}).`
+                : null
+    },
+    {
+        field: "expenses-end-month",
+        check: (number) =>
+            number("expenses-end-month") > 0 && number("expenses-end-month") < number("expenses-begin-month")
+                ? "Expenses cannot end before they begin."
+                : null
+    },
+    {
+        field: "estimated-fee-percent",
+        check: (number) =>
+            number("estimated-fee-percent") >= number("risk-to-reward") * 100
+                ? `A fee of ${number("estimated-fee-percent")}% of risk would eat the whole 1:${number("risk-to-reward")} payoff of a winning trade.`
+                : null
+    },
+    {
+        field: "ruin-balance",
+        check: (number) =>
+            number("ruin-balance") >= number("account-balance")
+                ? "Ruin balance must be below the initial account balance."
+                : null
+    },
+    {
+        field: "max-risk",
+        check: (number) =>
+            number("max-risk") < number("min-risk")
+                ? "Maximum dollar risk must be at least the minimum dollar risk."
+                : null
+    },
+    {
+        // Regimes only move the win rate and R:R, which the other sources replace.
+        field: "regime-model",
+        check: (number, values) =>
+            isNotNone("regime-model")(values) && values["outcome-source"] && values["outcome-source"] !== "fixed"
+                ? "Market regimes change the win rate and R:R, so they only apply to Win Rate & R:R trade outcomes."
+                : null
+    }
+];
+
+const formatLimit = (rule, limit) => {
+    const amount = limit.toLocaleString("en-US");
+    if (rule.unit === "$") return `$${amount}`;
+    return rule.unit ? `${amount}${rule.unit}` : amount;
+};
+
+// The generated message for a value outside the rule's limits.
+function describeLimits(rule) {
+    if (rule.min !== undefined && rule.max !== undefined) {
+        return `${rule.label} must be between ${formatLimit(rule, rule.min)} and ${formatLimit(rule, rule.max)}.`;
+    }
+    const limits = [
+        rule.min !== undefined && `at least ${formatLimit(rule, rule.min)}`,
+        rule.above !== undefined && `more than ${formatLimit(rule, rule.above)}`,
+        rule.max !== undefined && `at most ${formatLimit(rule, rule.max)}`,
+        rule.below !== undefined && `less than ${formatLimit(rule, rule.below)}`
+    ].filter(Boolean);
+    return `${rule.label} must be ${rule.whole ? "a whole number of " : ""}${limits.join(" and ")}.`;
+}
+
+function checkField(rule, value) {
+    if (!Number.isFinite(value)) {
+        return `${rule.label} must be a number.`;
+    }
+    const outOfRange = (rule.whole && !Number.isInteger(value))
+        || value < rule.min || value > rule.max
+        || value <= rule.above || value >= rule.below;
+    return outOfRange ? rule.message || describeLimits(rule) : null;
+}
+
+/**
+ * Checks the form's inputs, given as { inputId: value as typed }. Empty
+ * inputs stand for their defaults, and inputs the chosen settings do not use
+ * are skipped.
+ *
+ * Returns { errors, warnings }, each keyed by input id with one message.
+ * Errors must be fixed before a run; warnings flag extreme but valid values.
+ */
+export function validateFormValues(values) {
+    const errors = {};
+    const warnings = {};
+    const numbers = {};
+    for (const [id, rule] of Object.entries(FIELD_RULES)) {
+        const text = String(values[id] ?? "").trim();
+        if (rule.when && !rule.when(values)) {
+            continue;
+        }
+        const value = text === "" ? rule.fallback : Number(text);
+        numbers[id] = value;
+        if (value === undefined) {
+            continue;
+        }
+        const error = checkField(rule, value);
+        if (error) {
+            errors[id] = error;
+        } else if (rule.warnAbove && value > rule.warnAbove.value) {
+            warnings[id] = rule.warnAbove.message;
+        }
+    }
+
+    // Empty inputs without a fallback, inputs of unused settings and inputs in
+    // error are left out of comparisons.
+    const number = (id) => (errors[id] ? NaN : numbers[id] ?? NaN);
+    for (const { field, check } of CONSISTENCY_RULES) {
+        if (!errors[field]) {
+            const error = check(number, values);
+            if (error) {
+                errors[field] = error;
+            }
+        }
+    }
+    return { errors, warnings };
+}
@@ -0,0 +1,106 @@
+import { runMonteCarlo, runMonteCarloAggregate } from "./main.js";
+import { mergeAggregates } from "./statistics.js";
+
+// --- Worker Pool Size ---
+const MAX_WORKERS = 8;
+const MIN_RUNS_PER_WORKER = 1000;
+
+const createAbortError = () => {
+  const error = new Error("The simulation was cancelled.");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Runs runMonteCarlo across a pool of Web Workers so the page stays responsive.
+ * The batch is split into contiguous slices (using firstRun), so the combined
+ * results are identical to a single-threaded run with the same seed.
+ *
+ * In streaming mode (params.statisticsMode === "streaming") each worker
+ * returns an aggregate and the slices are merged into one.
+ *
+ * onProgress receives the total number of completed runs. Aborting the signal
+ * terminates every worker and rejects with an AbortError.
+ */
+export function runMonteCarloInWorkers(
+  params,
+  simulationRuns,
+  { onProgress, signal } = {}
+) {
+  const isStreaming = params.statisticsMode === "streaming";
+
+  if (typeof Worker === "undefined") {
+    const simulate = isStreaming ? runMonteCarloAggregate : runMonteCarlo;
+    return Promise.resolve(simulate(params, simulationRuns, { onProgress }));
+  }
+
+  const workerCount = Math.max(
+    1,
+    Math.min(
+      navigator.hardwareConcurrency || 2,
+      MAX_WORKERS,
+      Math.floor(simulationRuns / MIN_RUNS_PER_WORKER)
+    )
+  );
+  const runsPerWorker = Math.ceil(simulationRuns / workerCount);
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    const sliceResults = new Array(workerCount);
+    const sliceProgress = new Array(workerCount).fill(0);
+    let finishedSlices = 0;
+
+    const stopAll = () => workers.forEach((worker) => worker.terminate());
+    const onAbort = () => {
+      stopAll();
+      reject(createAbortError());
+    };
+
+    if (signal) {
+      if (signal.aborted) return reject(createAbortError());
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    for (let i = 0; i < workerCount; i++) {
+      const firstRun = i * runsPerWorker;
+      const runCount = Math.min(runsPerWorker, simulationRuns - firstRun);
+      const worker = new Worker(
+        new URL("./simulationWorker.js", import.meta.url),
+        { type: "module" }
+      );
+      workers.push(worker);
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === "progress") {
+          sliceProgress[i] = message.completedRuns;
+          if (onProgress) {
+            onProgress(sliceProgress.reduce((sum, runs) => sum + runs, 0));
+          }
+        } else if (message.type === "done") {
+          sliceResults[i] = message.results;
+          worker.terminate();
+          finishedSlices++;
+          if (finishedSlices === workerCount) {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve(
+              isStreaming
+                ? sliceResults.reduce((merged, aggregate) =>
+                    mergeAggregates(merged, aggregate)
+                  )
+                : sliceResults.flat()
+            );
+          }
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        stopAll();
+        if (signal) signal.removeEventListener("abort", onAbort);
+        reject(new Error(event.message || "A simulation worker failed."));
+      };
+
+      worker.postMessage({ params, firstRun, runCount });
+    }
+  });
+}